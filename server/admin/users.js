@@ -0,0 +1,44 @@
+const { roleOf } = require('../auth/roles');
+const { removePlayer, userChannel } = require('../multiplayer/rooms');
+
+// Most users returned by one search
+const MAX_RESULTS = 100;
+
+// User documents as shown to admins
+function userInfo(user) {
+  return {
+    id: user.id,
+    email: user.email || null,
+    displayName: user.displayName || null,
+    role: roleOf(user.id, user),
+    banned: !!user.banned,
+    banReason: user.banReason || null,
+    bannedAt: user.bannedAt || null,
+    createdAt: user.createdAt || null,
+    lastLogin: user.lastLogin || null,
+  };
+}
+
+// Case-insensitive substring search over id, email and display name. The
+// storage adapters cannot search text, so this scans the collection, which
+// is fine for an admin tool.
+async function searchUsers(storage, query, limit = MAX_RESULTS) {
+  const needle = (query || '').trim().toLowerCase();
+  const users = await storage.users.find({}, { orderBy: 'createdAt', direction: 'desc' });
+  return users
+    .filter(user => !needle || [user.id, user.email, user.displayName]
+      .some(field => field && String(field).toLowerCase().includes(needle)))
+    .slice(0, Math.min(limit, MAX_RESULTS))
+    .map(userInfo);
+}
+
+// Removes the user from every room and disconnects their sockets
+async function kickEverywhere(storage, io, userId) {
+  const rooms = await storage.rooms.find({});
+  for (const room of rooms.filter(room => room.players.some(p => p.userId === userId))) {
+    await removePlayer(storage, io, room.id, userId);
+  }
+  io.in(userChannel(userId)).disconnectSockets(true);
+}
+
+module.exports = { userInfo, searchUsers, kickEverywhere };
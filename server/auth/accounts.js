@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Username/password accounts, for auth providers that issue their own tokens
+// (see auth/local.js). They are ordinary user documents with a username,
+// usernameKey (lowercased, for lookups) and passwordHash. Password reset and
+// email verification tokens are `<user id>.<secret>`; the user document keeps
+// a hash of the secret and when it expires, and each token works once. They
+// only ever leave the server by email (see auth/mailer.js).
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const digest = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// User documents without their id and secrets, as returned to their owner
+function publicAccount(user) {
+  const { id, usernameKey, passwordHash, passwordReset, emailVerification, ...account } = user;
+  return account;
+}
+
+// Taken emails are refused, which tells whether an email has an account.
+// Registering signs the user in right away, so there is no answer that would
+// not; it is left to the auth rate limit to keep anyone from trying many.
+async function register(storage, { username, email, password }) {
+  const usernameKey = username.toLowerCase();
+  email = email.toLowerCase();
+  if (await storage.users.findOne({ usernameKey })) {
+    throw new AccountError('Username is already taken', 409);
+  }
+  if (await storage.users.findOne({ email })) {
+    throw new AccountError('Email is already registered', 409);
+  }
+
+  const uid = crypto.randomBytes(14).toString('hex');
+  const now = new Date();
+  await storage.users.set(uid, {
+    uid,
+    username,
+    usernameKey,
+    email,
+    emailVerified: false,
+    displayName: username,
+    photoURL: null,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    lastLogin: now,
+  });
+  return storage.users.get(uid);
+}
+
+// The same error for unknown users and wrong passwords, so usernames cannot
+// be probed
+async function login(storage, { username, password }) {
+  const user = await storage.users.findOne({ usernameKey: username.toLowerCase() });
+  if (!user || !await verifyPassword(password, user.passwordHash)) {
+    throw new AccountError('Invalid username or password', 401);
+  }
+  return user;
+}
+
+async function createToken(storage, user, field, ttl) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await storage.users.update(user.id, {
+    [field]: { secretHash: digest(secret), expiresAt: new Date(Date.now() + ttl) },
+  });
+  return `${user.id}.${secret}`;
+}
+
+async function useToken(storage, token, field) {
+  const [userId, secret] = String(token || '').split('.');
+  const user = userId && secret && await storage.users.get(userId);
+  const pending = user && user[field];
+  if (!pending || !crypto.timingSafeEqual(Buffer.from(digest(secret), 'hex'), Buffer.from(pending.secretHash, 'hex'))) {
+    throw new AccountError('Invalid or expired token');
+  }
+  if (new Date(pending.expiresAt) <= new Date()) {
+    throw new AccountError('Invalid or expired token');
+  }
+  return user;
+}
+
+// Unknown emails are ignored, so callers answer the same either way, without
+// waiting for this. Returns whether an email was sent.
+async function requestPasswordReset(storage, mailer, email) {
+  const user = await storage.users.findOne({ email: email.toLowerCase() });
+  if (!user || !user.passwordHash) {
+    return false;
+  }
+  const token = await createToken(storage, user, 'passwordReset', PASSWORD_RESET_TTL_MS);
+  await mailer.send({
+    to: user.email,
+    subject: 'Diablo Web password reset',
+    text: `Hi ${user.username},\n\nUse this token to choose a new password within the next hour:\n\n${token}\n\n` +
+      'If you did not ask for a new password, you can ignore this email.',
+  });
+  return true;
+}
+
+async function resetPassword(storage, token, password) {
+  const user = await useToken(storage, token, 'passwordReset');
+  await storage.users.update(user.id, { passwordHash: await hashPassword(password), passwordReset: null });
+  return user;
+}
+
+async function requestEmailVerification(storage, mailer, userId) {
+  const user = await storage.users.get(userId);
+  if (!user || !user.passwordHash) {
+    throw new AccountError('Only password accounts verify their email here');
+  }
+  if (user.emailVerified) {
+    throw new AccountError('Email is already verified', 409);
+  }
+  const token = await createToken(storage, user, 'emailVerification', EMAIL_VERIFICATION_TTL_MS);
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Diablo Web email',
+    text: `Hi ${user.username},\n\nUse this token to verify your email within the next day:\n\n${token}`,
+  });
+}
+
+async function verifyEmail(storage, token) {
+  const user = await useToken(storage, token, 'emailVerification');
+  await storage.users.update(user.id, { emailVerified: true, emailVerification: null });
+  return user;
+}
+
+module.exports = {
+  AccountError, publicAccount, register, login,
+  requestPasswordReset, resetPassword, requestEmailVerification, verifyEmail,
+};
@@ -0,0 +1,16 @@
+// Firebase Authentication: the client signs in with Firebase and sends its ID
+// token, which is verified with firebase-admin. Firebase issues and renews
+// tokens itself, so there is nothing else to do here.
+class FirebaseAuthProvider {
+  constructor() {
+    this.name = 'firebase';
+  }
+
+  async verifyToken(token) {
+    const admin = require('firebase-admin');
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    return { uid: decodedToken.uid, email: decodedToken.email };
+  }
+}
+
+module.exports = FirebaseAuthProvider;
@@ -0,0 +1,56 @@
+// Every provider has verifyToken(token) -> { uid, email }. Providers that
+// issue their own tokens also have issueTokens(user), refresh(refreshToken),
+// revoke(refreshToken) and revokeAll(userId).
+// AUTH_PROVIDER picks the provider, or several separated by commas:
+//   firebase - Firebase Authentication ID tokens (default)
+//   local    - JWTs signed with JWT_SECRET, with refresh tokens kept in storage
+function createProvider(storage, provider) {
+  switch (provider) {
+    case 'firebase': {
+      const FirebaseAuthProvider = require('./firebase');
+      return new FirebaseAuthProvider();
+    }
+    case 'local': {
+      const { LocalAuthProvider } = require('./local');
+      return new LocalAuthProvider(storage);
+    }
+    default:
+      throw new Error(`AUTH_PROVIDER desconhecido: ${provider}`);
+  }
+}
+
+// With several providers (e.g. Google sign-in through Firebase next to
+// password accounts), a token is accepted if any of them verifies it, and the
+// one that issues its own tokens handles refreshing them
+class MultiAuthProvider {
+  constructor(providers) {
+    this.providers = providers;
+    this.name = providers.map(provider => provider.name).join(',');
+    const issuer = providers.find(provider => provider.issueTokens);
+    if (issuer) {
+      for (const method of ['issueTokens', 'refresh', 'revoke', 'revokeAll']) {
+        this[method] = issuer[method].bind(issuer);
+      }
+    }
+  }
+
+  async verifyToken(token) {
+    let lastError;
+    for (const provider of this.providers) {
+      try {
+        return await provider.verifyToken(token);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+function createAuthProvider(storage, providers = process.env.AUTH_PROVIDER || 'firebase') {
+  const names = [...new Set(providers.split(',').map(name => name.trim()).filter(Boolean))];
+  const created = names.map(name => createProvider(storage, name));
+  return created.length === 1 ? created[0] : new MultiAuthProvider(created);
+}
+
+module.exports = createAuthProvider;
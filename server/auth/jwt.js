@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JSON Web Tokens, all the local auth provider needs
+
+class TokenError extends Error {}
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+// exp and iat are in seconds, as in the JWT spec
+function sign(claims, secret, expiresIn) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${HEADER}.${encode({ ...claims, iat: now, exp: now + expiresIn })}`;
+  return `${data}.${signature(data, secret).toString('base64url')}`;
+}
+
+function verify(token, secret) {
+  const [header, payload, sig] = String(token).split('.');
+  if (!header || !payload || !sig) {
+    throw new TokenError('Malformed token');
+  }
+  const expected = signature(`${header}.${payload}`, secret);
+  const actual = Buffer.from(sig, 'base64url');
+  if (header !== HEADER || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new TokenError('Invalid signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw new TokenError('Malformed token');
+  }
+  if (!claims || typeof claims.exp !== 'number' || claims.exp <= Date.now() / 1000) {
+    throw new TokenError('Token expired');
+  }
+  return claims;
+}
+
+module.exports = { TokenError, sign, verify };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('./jwt');
+
+const env = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Access tokens are short lived, clients renew them with their refresh token
+const ACCESS_TOKEN_TTL_MS = env('ACCESS_TOKEN_TTL_MS', 15 * 60 * 1000);
+const REFRESH_TOKEN_TTL_MS = env('REFRESH_TOKEN_TTL_MS', 30 * 24 * 60 * 60 * 1000);
+const ISSUER = 'diablo-web';
+
+class RefreshError extends Error {}
+
+const digest = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Issues and verifies our own signed JWTs, so no Google project is needed.
+// Refresh tokens are `<session id>.<secret>`; only a hash of the secret is
+// stored (storage.sessions), and each one can be used once: refreshing
+// replaces it with a new one.
+class LocalAuthProvider {
+  constructor(storage, secret = process.env.JWT_SECRET) {
+    if (!secret) {
+      throw new Error('JWT_SECRET is required when AUTH_PROVIDER=local');
+    }
+    this.name = 'local';
+    this.storage = storage;
+    this.secret = secret;
+  }
+
+  async verifyToken(token) {
+    const claims = jwt.verify(token, this.secret);
+    if (claims.iss !== ISSUER || claims.typ !== 'access' || typeof claims.sub !== 'string') {
+      throw new jwt.TokenError('Not an access token');
+    }
+    return { uid: claims.sub, email: claims.email || null };
+  }
+
+  // user: { uid, email }
+  async issueTokens(user) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = await this.storage.sessions.create({
+      userId: user.uid,
+      email: user.email || null,
+      secretHash: digest(secret),
+      createdAt: new Date(now),
+      expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS),
+    });
+    return {
+      accessToken: jwt.sign(
+        { iss: ISSUER, typ: 'access', sub: user.uid, email: user.email || null },
+        this.secret,
+        Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+      ),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+    };
+  }
+
+  async session(refreshToken) {
+    const [id, secret] = String(refreshToken || '').split('.');
+    const session = id && secret && await this.storage.sessions.get(id);
+    const expected = session && Buffer.from(session.secretHash, 'hex');
+    const actual = Buffer.from(digest(secret || ''), 'hex');
+    if (!session || !crypto.timingSafeEqual(actual, expected)) {
+      throw new RefreshError('Invalid refresh token');
+    }
+    if (new Date(session.expiresAt) <= new Date()) {
+      await this.storage.sessions.delete(session.id);
+      throw new RefreshError('Refresh token expired');
+    }
+    return session;
+  }
+
+  // Trades a refresh token for new tokens. Returns them with the user, so the
+  // caller can check the account is still allowed in.
+  async refresh(refreshToken) {
+    const session = await this.session(refreshToken);
+    // A refresh that lost the race against a concurrent one is rejected
+    if (!await this.storage.sessions.delete(session.id)) {
+      throw new RefreshError('Invalid refresh token');
+    }
+    const user = { uid: session.userId, email: session.email };
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  async revoke(refreshToken) {
+    const session = await this.session(refreshToken);
+    await this.storage.sessions.delete(session.id);
+  }
+
+  // Signs the user out everywhere, e.g. after a password change
+  async revokeAll(userId) {
+    const sessions = await this.storage.sessions.find({ userId });
+    await Promise.all(sessions.map(session => this.storage.sessions.delete(session.id)));
+  }
+}
+
+module.exports = { LocalAuthProvider, RefreshError };
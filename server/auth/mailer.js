@@ -0,0 +1,53 @@
+const { logger } = require('../observability/logger');
+
+// Sends account emails (password reset, email verification). Mailers have
+// send({ to, subject, text }). MAIL_TRANSPORT picks the transport:
+//   smtp - through the SMTP server at SMTP_URL, from MAIL_FROM
+//   log  - written to the server log instead of sent, for local development
+// Without MAIL_TRANSPORT there is no mailer, and the endpoints that need one
+// refuse to run.
+
+class SmtpMailer {
+  constructor(url = process.env.SMTP_URL, from = process.env.MAIL_FROM) {
+    if (!url || !from) {
+      throw new Error('SMTP_URL and MAIL_FROM are required when MAIL_TRANSPORT=smtp');
+    }
+    const nodemailer = require('nodemailer');
+    this.name = 'smtp';
+    this.from = from;
+    this.transport = nodemailer.createTransport(url);
+  }
+
+  async send({ to, subject, text }) {
+    await this.transport.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+// Tokens end up in the log, so this is an explicit opt-in for development
+class LogMailer {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send({ to, subject, text }) {
+    logger.info(`Email to ${to}: ${subject}\n${text}`);
+  }
+}
+
+function createMailer(transport = process.env.MAIL_TRANSPORT) {
+  switch (transport || '') {
+    case '':
+      return null;
+    case 'smtp':
+      return new SmtpMailer();
+    case 'log':
+      if (process.env.NODE_ENV === 'production') {
+        logger.warn('MAIL_TRANSPORT=log writes account tokens to the log');
+      }
+      return new LogMailer();
+    default:
+      throw new Error(`MAIL_TRANSPORT desconhecido: ${transport}`);
+  }
+}
+
+module.exports = { createMailer, SmtpMailer, LogMailer };
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+
+// Hashes are stored as `scrypt$<salt>$<key>`, both hex encoded
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, hash) {
+  const [scheme, salt, expected] = String(hash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected || password == null) {
+    return false;
+  }
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'hex');
+  return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,14 @@
+// Users listed in ADMIN_UIDS are admins regardless of their user document,
+// which is how the first admin gets in. Everyone else has the `role` stored
+// on their user document, `user` by default.
+const ROLES = ['user', 'admin'];
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+
+function roleOf(uid, account) {
+  if (ADMIN_UIDS.includes(uid)) {
+    return 'admin';
+  }
+  return (account && account.role) || 'user';
+}
+
+module.exports = { ROLES, roleOf };
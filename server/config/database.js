@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { logger } = require('../observability/logger');
 
 let db;
 
@@ -24,7 +25,7 @@ function connectDB() {
       }
     }
 
-    console.log('🔌 Inicializando Firebase Admin SDK...');
+    logger.info('🔌 Inicializando Firebase Admin SDK...');
 
     const serviceAccount = {
       type: "service_account",
@@ -44,11 +45,11 @@ function connectDB() {
     });
 
     db = admin.firestore();
-    console.log('✅ Firestore conectado com sucesso!');
+    logger.info('✅ Firestore conectado com sucesso!');
     return db;
   } catch (error) {
-    console.error('❌ ERRO ao inicializar Firebase:', error);
-    process.exit(1);
+    logger.error('❌ ERRO ao inicializar Firebase:', error);
+    throw error;
   }
 }
 
@@ -0,0 +1,95 @@
+// Friendships are stored on the users collection: `friends` holds accepted
+// friends, `friendRequests` incoming requests and `outgoingRequests` the
+// requests a user sent. Both sides of a friendship are updated together.
+
+class FriendError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const without = (list, id) => (list || []).filter(other => other !== id);
+const including = (list, id) => [...without(list, id), id];
+
+function friendInfo(user) {
+  return { userId: user.id, displayName: user.displayName || 'Unknown' };
+}
+
+async function getUser(storage, userId) {
+  const user = userId && await storage.users.get(userId);
+  if (!user) {
+    throw new FriendError('User not found', 404);
+  }
+  return user;
+}
+
+// Sends a request, or accepts it right away if the other user already asked
+async function sendRequest(storage, user, target) {
+  if (target.id === user.id) {
+    throw new FriendError('You cannot add yourself as a friend');
+  }
+  if ((user.friends || []).includes(target.id)) {
+    throw new FriendError('Already friends', 409);
+  }
+  if ((user.friendRequests || []).includes(target.id)) {
+    await acceptRequest(storage, user, target.id);
+    return 'accepted';
+  }
+
+  await storage.users.update(target.id, { friendRequests: including(target.friendRequests, user.id) });
+  await storage.users.update(user.id, { outgoingRequests: including(user.outgoingRequests, target.id) });
+  return 'requested';
+}
+
+async function acceptRequest(storage, user, fromId) {
+  if (!(user.friendRequests || []).includes(fromId)) {
+    throw new FriendError('No friend request from this user', 404);
+  }
+  const from = await getUser(storage, fromId);
+
+  await storage.users.update(user.id, {
+    friends: including(user.friends, fromId),
+    friendRequests: without(user.friendRequests, fromId),
+    outgoingRequests: without(user.outgoingRequests, fromId),
+  });
+  await storage.users.update(fromId, {
+    friends: including(from.friends, user.id),
+    friendRequests: without(from.friendRequests, user.id),
+    outgoingRequests: without(from.outgoingRequests, user.id),
+  });
+}
+
+// Declines an incoming request or cancels an outgoing one
+async function dropRequest(storage, user, otherId) {
+  const other = await getUser(storage, otherId);
+  await storage.users.update(user.id, {
+    friendRequests: without(user.friendRequests, otherId),
+    outgoingRequests: without(user.outgoingRequests, otherId),
+  });
+  await storage.users.update(otherId, {
+    friendRequests: without(other.friendRequests, user.id),
+    outgoingRequests: without(other.outgoingRequests, user.id),
+  });
+}
+
+async function removeFriend(storage, user, friendId) {
+  if (!(user.friends || []).includes(friendId)) {
+    throw new FriendError('Not friends with this user', 404);
+  }
+  const friend = await storage.users.get(friendId);
+  await storage.users.update(user.id, { friends: without(user.friends, friendId) });
+  if (friend) {
+    await storage.users.update(friendId, { friends: without(friend.friends, user.id) });
+  }
+}
+
+module.exports = {
+  FriendError,
+  friendInfo,
+  getUser,
+  sendRequest,
+  acceptRequest,
+  dropRequest,
+  removeFriend,
+};
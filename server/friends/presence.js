@@ -0,0 +1,66 @@
+const { userChannel } = require('../multiplayer/rooms');
+const { logger } = require('../observability/logger');
+
+// Online status of users, derived from their authenticated Socket.IO
+// connections: offline without any, in a room while connected to a room
+// channel, in the menu otherwise. Friends are told about every change.
+class UserPresence {
+  constructor(storage, io, roomPresence) {
+    this.storage = storage;
+    this.io = io;
+    this.roomPresence = roomPresence;
+    // uid -> socket ids
+    this.sockets = new Map();
+  }
+
+  connect(socket) {
+    const { uid } = socket.data.user;
+    if (!this.sockets.has(uid)) {
+      this.sockets.set(uid, new Set());
+    }
+    this.sockets.get(uid).add(socket.id);
+    this.changed(uid);
+  }
+
+  disconnect(socket) {
+    const { uid } = socket.data.user;
+    const sockets = this.sockets.get(uid);
+    if (sockets) {
+      sockets.delete(socket.id);
+      if (!sockets.size) {
+        this.sockets.delete(uid);
+      }
+    }
+    this.changed(uid);
+  }
+
+  async status(uid) {
+    if (!this.sockets.has(uid)) {
+      return { state: 'offline' };
+    }
+    const roomId = this.roomPresence.roomOf(uid);
+    const room = roomId && await this.storage.rooms.get(roomId);
+    if (room) {
+      return { state: 'room', roomId: room.id, roomName: room.name };
+    }
+    return { state: 'menu' };
+  }
+
+  // Sends the user's new status to their friends
+  changed(uid) {
+    this.notify(uid).catch(error => logger.error('Error sending friend status:', error));
+  }
+
+  async notify(uid) {
+    const user = await this.storage.users.get(uid);
+    if (!user || !(user.friends || []).length) {
+      return;
+    }
+    const status = await this.status(uid);
+    for (const friendId of user.friends) {
+      this.io.to(userChannel(friendId)).emit('friend-status', { userId: uid, status });
+    }
+  }
+}
+
+module.exports = UserPresence;
@@ -2,7 +2,39 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
-const connectDB = require('./config/database');
+const { rateLimit } = require('./middleware/rateLimit');
+const { logger, requestLogger } = require('./observability/logger');
+const { register, metricsMiddleware, trackServer, saveUploadBytes } = require('./observability/metrics');
+const { spec, openApiValidator, isValidationError, validationResponse } = require('./openapi/validator');
+const createStorage = require('./storage');
+const { revisionInfo, listRevisions, addRevision, deleteRevisions } = require('./saves/revisions');
+const { writeSave } = require('./saves/store');
+const { ArchiveError, buildArchive, readArchive, MAX_ARCHIVE_SIZE } = require('./saves/archive');
+const {
+  MAX_PLAYERS, ROOM_WRITE_ATTEMPTS, roomListing, roomPlayers, listRooms, roomSettings, joinRejection, removePlayer, resumeRoom, closeRoom, userChannel,
+} = require('./multiplayer/rooms');
+const { hashPassword } = require('./auth/passwords');
+const createAuthProvider = require('./auth');
+const { RefreshError } = require('./auth/local');
+const accounts = require('./auth/accounts');
+const { createMailer } = require('./auth/mailer');
+const { roleOf } = require('./auth/roles');
+const { userInfo, searchUsers, kickEverywhere } = require('./admin/users');
+const GracefulShutdown = require('./lifecycle/shutdown');
+const RoomPresence = require('./multiplayer/presence');
+const { createGameServer } = require('./multiplayer/gameserver');
+const GameRelay = require('./multiplayer/relay');
+const { Matchmaker } = require('./multiplayer/matchmaking');
+const { RoomChat, ChatError, listMessages } = require('./multiplayer/chat');
+const { RoomModeration, ModerationError } = require('./multiplayer/moderation');
+const { JoinTickets } = require('./multiplayer/tickets');
+const friends = require('./friends/friends');
+const UserPresence = require('./friends/presence');
+const { loadSaveFormat, parseSaveFile, sanitizeFileName, InvalidSaveError, MAX_SAVE_SIZE } = require('./saves/parse');
+const { saveETag, saveInfo, saveBytes } = require('./saves/info');
+const { listSaves } = require('./saves/list');
+const { CursorError } = require('./storage/pagination');
+const { leaderboard } = require('./saves/leaderboard');
 
 const app = express();
 const server = http.createServer(app);
@@ -13,12 +45,45 @@ const io = socketIo(server, {
   }
 });
 
+// Behind a reverse proxy, req.ip has to come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+} else {
+  // Otherwise req.ip is the proxy's, and all clients share its rate limits
+  let warned = false;
+  app.use((req, res, next) => {
+    if (!warned && req.get('X-Forwarded-For')) {
+      warned = true;
+      logger.warn('Requests come through a proxy (X-Forwarded-For) but TRUST_PROXY is not set, so every client shares the same rate limits');
+    }
+    next();
+  });
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(requestLogger);
+app.use(metricsMiddleware);
+app.use(cors({ exposedHeaders: ['ETag', 'Retry-After', 'X-Request-Id'] }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+app.use(openApiValidator());
 
-// Firebase Auth Middleware
+// Firebase or our own JWTs, depending on AUTH_PROVIDER (see auth/index.js)
+function verifyToken(token) {
+  return app.locals.auth.verifyToken(token);
+}
+
+// Adds the user's role from their account, or returns null if it is banned
+async function authorize(user) {
+  const account = await app.locals.storage.users.get(user.uid);
+  if (account && account.banned) {
+    return null;
+  }
+  return { ...user, role: roleOf(user.uid, account) };
+}
+
+// Auth Middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -27,39 +92,148 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
   
+  let user;
   try {
-    const db = app.locals.db;
-    const admin = require('firebase-admin');
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    const user = { uid: decodedToken.uid, email: decodedToken.email };
-    req.user = user;
-    next();
+    user = await verifyToken(token);
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  try {
+    req.user = await authorize(user);
+    if (!req.user) {
+      return res.status(403).json({ error: 'Account is banned' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Must come after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Socket.IO Auth Middleware, the token is sent in the handshake's auth payload
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  let user;
+  try {
+    user = await verifyToken(token);
+  } catch (error) {
+    return next(new Error('Invalid or expired token'));
+  }
+
+  try {
+    socket.data.user = await authorize(user);
+    if (!socket.data.user) {
+      return next(new Error('Account is banned'));
+    }
+    next();
+  } catch (error) {
+    logger.error('Error authorizing socket:', error);
+    next(new Error('Internal server error'));
+  }
+});
+
+// Rate limits per route group, keyed by uid after authenticateToken
+const limit = {
+  auth: rateLimit('auth'),
+  saves: rateLimit('saves'),
+  rooms: rateLimit('rooms'),
+  friends: rateLimit('friends'),
+  leaderboard: rateLimit('leaderboard'),
+  admin: rateLimit('admin'),
 };
 
 // Inicialização assíncrona
 async function startServer() {
   try {
-    // Conectar ao MongoDB
-    const db = await connectDB();
-    console.log('✅ Firestore Database conectado - Diablo Web Online!');
+    const storage = await createStorage().connect();
+    logger.info(`✅ Storage "${storage.name}" conectado - Diablo Web Online!`);
     
-    // Disponibilizar db para as rotas
-    app.locals.db = db;
+    // Disponibilizar storage para as rotas
+    app.locals.storage = storage;
+    const auth = createAuthProvider(storage);
+    app.locals.auth = auth;
+    logger.info(`🔑 Autenticação: ${auth.name}`);
+
+    // Uploads are parsed with the client's save file code
+    await loadSaveFormat();
+
+    const presence = new RoomPresence(storage, io);
+    // Game protocol relay used by the client's websocket mode
+    const tickets = new JoinTickets(storage);
+    const gameServer = await createGameServer(server, tickets, '/websocket');
+    // Fallback for peer-to-peer games, tunnels packets to the hosting client
+    const relay = new GameRelay(io);
+    const chat = new RoomChat(storage, io);
+    const matchmaker = new Matchmaker(storage, io);
+    const userPresence = new UserPresence(storage, io, presence);
+    const moderation = new RoomModeration(storage, io, presence, userPresence, gameServer);
+    trackServer({ io, storage, gameServer });
+    const shutdown = new GracefulShutdown({ server, io, storage, presence, matchmaker, gameServer }).listen();
+    // Runs before the routes registered below
+    app.use(shutdown.middleware());
 
     // Routes
 
-    // Health check
+    // Liveness: the process is up and serving requests
+    app.get('/api/health/live', (req, res) => {
+      res.json({ status: 'ok', uptime: process.uptime() });
+    });
+
+    // Readiness: the storage backend is reachable, so requests can be served
+    app.get('/api/health/ready', async (req, res) => {
+      if (shutdown.shuttingDown) {
+        return res.status(503).json({ status: 'shutting down', database: storage.name });
+      }
+      try {
+        await storage.ping();
+        res.json({ status: 'ok', database: storage.name });
+      } catch (error) {
+        req.log.warn('Readiness check failed:', error);
+        res.status(503).json({ status: 'unavailable', database: storage.name, error: error.message });
+      }
+    });
+
+    // Prometheus metrics, protected by METRICS_TOKEN when it is set
+    app.get('/api/metrics', async (req, res) => {
+      const token = process.env.METRICS_TOKEN;
+      if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
+      try {
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+      } catch (error) {
+        req.log.error('Error collecting metrics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/api/openapi.json', (req, res) => {
+      res.json(spec);
+    });
+
+    // Health check, kept for existing monitors; see /api/health/ready
     app.get('/api/health', async (req, res) => {
       try {
         // Testar conexão com o banco
-        await db.collection('health_check').get();
+        await storage.ping();
         
         res.json({ 
           status: '✅ Online', 
-          database: 'MongoDB Atlas Connected',
+          database: storage.name,
           project: 'Diablo Web',
           timestamp: new Date().toISOString()
         });
@@ -72,15 +246,14 @@ async function startServer() {
     });
 
     // Auth Routes
-    app.post('/api/auth/verify-token', authenticateToken, async (req, res) => {
+    app.post('/api/auth/verify-token', limit.auth, authenticateToken, async (req, res) => {
       try {
         const { uid, email, displayName, photoURL } = req.user;
-        const userRef = db.collection('users').doc(uid);
-        const userDoc = await userRef.get();
+        const existingUser = await storage.users.get(uid);
 
         let userData;
 
-        if (!userDoc.exists) {
+        if (!existingUser) {
           // Create new user in Firestore
           userData = {
             uid,
@@ -90,351 +263,1054 @@ async function startServer() {
             createdAt: new Date(),
             lastLogin: new Date(),
           };
-          await userRef.set(userData);
+          await storage.users.set(uid, userData);
         } else {
           // Update last login
-          userData = userDoc.data();
-          await userRef.update({ lastLogin: new Date() });
+          userData = accounts.publicAccount(existingUser);
+          await storage.users.update(uid, { lastLogin: new Date() });
         }
 
-        res.status(200).json({ user: userData });
+        res.status(200).json({ user: { ...userData, role: req.user.role } });
       } catch (error) {
-        console.error('Token verification error:', error);
+        req.log.error('Token verification error:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
+    // Sign-in methods the client should offer
+    app.get('/api/auth/config', (req, res) => {
+      res.json({
+        provider: auth.name,
+        google: auth.name.split(',').includes('firebase'),
+        password: !!auth.issueTokens,
+      });
+    });
+
+    // Providers issuing their own tokens let clients renew and revoke them
+    if (auth.refresh) {
+      app.post('/api/auth/refresh', limit.auth, async (req, res) => {
+        try {
+          const { user, tokens } = await auth.refresh(req.body.refreshToken);
+          if (!await authorize(user)) {
+            await auth.revokeAll(user.uid);
+            return res.status(403).json({ error: 'Account is banned' });
+          }
+          res.json(tokens);
+        } catch (error) {
+          if (error instanceof RefreshError) {
+            return res.status(401).json({ error: error.message });
+          }
+          req.log.error('Error refreshing token:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      });
+
+      app.post('/api/auth/logout', limit.auth, async (req, res) => {
+        try {
+          await auth.revoke(req.body.refreshToken);
+          res.json({ message: 'Logged out' });
+        } catch (error) {
+          if (error instanceof RefreshError) {
+            return res.status(401).json({ error: error.message });
+          }
+          req.log.error('Error logging out:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      });
+    }
+
+    // Username/password accounts, see auth/accounts.js
+    if (auth.issueTokens) {
+      // Reset and verification tokens are only ever sent by email
+      const mailer = createMailer();
+      const requireMailer = (req, res, next) => {
+        if (!mailer) {
+          return res.status(503).json({ error: 'Email delivery is not configured' });
+        }
+        next();
+      };
+
+      const signIn = async (res, user, status = 200) => {
+        const tokens = await auth.issueTokens({ uid: user.id, email: user.email });
+        res.status(status).json({
+          user: { ...accounts.publicAccount(user), role: roleOf(user.id, user) },
+          ...tokens,
+        });
+      };
+
+      const accountRoute = (action, handler) => async (req, res) => {
+        try {
+          await handler(req, res);
+        } catch (error) {
+          if (error instanceof accounts.AccountError) {
+            return res.status(error.status).json({ error: error.message });
+          }
+          req.log.error(`Error ${action}:`, error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      };
+
+      app.post('/api/auth/register', limit.auth, accountRoute('registering', async (req, res) => {
+        const user = await accounts.register(storage, req.body);
+        req.log.info(`User ${user.id} registered`);
+        await signIn(res, user, 201);
+      }));
+
+      app.post('/api/auth/login', limit.auth, accountRoute('logging in', async (req, res) => {
+        const user = await accounts.login(storage, req.body);
+        if (user.banned) {
+          return res.status(403).json({ error: 'Account is banned' });
+        }
+        await storage.users.update(user.id, { lastLogin: new Date() });
+        await signIn(res, user);
+      }));
+
+      app.post('/api/auth/password-reset', limit.auth, requireMailer, accountRoute('requesting a password reset', async (req, res) => {
+        // Answered before the account is even looked up, so how long it takes
+        // does not tell whether the email has one either
+        res.json({ message: 'If an account uses this email, a reset token was sent to it' });
+        accounts.requestPasswordReset(storage, mailer, req.body.email).then(sent => {
+          if (sent) {
+            req.log.info('Password reset email sent');
+          }
+        }, error => req.log.error('Error requesting a password reset:', error));
+      }));
+
+      app.post('/api/auth/password-reset/confirm', limit.auth, accountRoute('resetting a password', async (req, res) => {
+        const user = await accounts.resetPassword(storage, req.body.token, req.body.password);
+        // Sessions started with the old password end here
+        await auth.revokeAll(user.id);
+        res.json({ message: 'Password changed' });
+      }));
+
+      app.post('/api/auth/verify-email', authenticateToken, limit.auth, requireMailer, accountRoute('requesting email verification', async (req, res) => {
+        await accounts.requestEmailVerification(storage, mailer, req.user.uid);
+        res.json({ message: 'A verification token was sent to your email' });
+      }));
+
+      app.post('/api/auth/verify-email/confirm', limit.auth, accountRoute('verifying an email', async (req, res) => {
+        await accounts.verifyEmail(storage, req.body.token);
+        res.json({ message: 'Email verified' });
+      }));
+    }
+
     // Save Game Routes
-    app.get('/api/saves', authenticateToken, async (req, res) => {
+    // Paged with ?cursor=, the nextCursor of the previous page
+    app.get('/api/saves', authenticateToken, limit.saves, async (req, res) => {
       try {
-        const savesSnapshot = await db.collection('savegames')
-          .where('userId', '==', req.user.uid)
-          .orderBy('lastSaved', 'desc')
-          .get();
-        
-        const saves = savesSnapshot.docs.map(doc => {
-          const data = doc.data();
-          return {
-            id: doc.id,
-            characterName: data.characterName,
-            characterClass: data.characterClass,
-            level: data.level,
-            lastSaved: data.lastSaved.toDate(),
-          };
+        const { query } = req;
+        const page = await listSaves(storage, req.user.uid, {
+          characterClass: query.class,
+          minLevel: query.minLevel,
+          maxLevel: query.maxLevel,
+          sort: query.sort,
+          order: query.order,
+          cursor: query.cursor,
+          limit: query.limit,
         });
-        
-        res.json(saves);
+
+        res.json({ saves: page.items.map(saveInfo), nextCursor: page.nextCursor });
       } catch (error) {
-        console.error('Error fetching saves:', error);
+        if (error instanceof CursorError) {
+          return res.status(400).json({ error: error.message });
+        }
+        req.log.error('Error fetching saves:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.get('/api/saves/:id', authenticateToken, async (req, res) => {
+    // Bulk export/import, registered before /api/saves/:id
+    app.get('/api/saves/export', authenticateToken, limit.saves, async (req, res) => {
       try {
-        const saveRef = db.collection('savegames').doc(req.params.id);
-        const saveDoc = await saveRef.get();
-        const save = saveDoc.data();
+        const saves = await storage.saves.find(
+          { userId: req.user.uid },
+          { orderBy: 'lastSaved', direction: 'desc' }
+        );
 
-        if (!saveDoc.exists || save.userId !== req.user.uid) {
-          return res.status(404).json({ error: 'Save not found' });
+        res.set({
+          'Content-Type': 'application/zip',
+          'Content-Disposition': 'attachment; filename="diablo-saves.zip"'
+        });
+        res.send(buildArchive(saves));
+      } catch (error) {
+        req.log.error('Error exporting saves:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    const rawArchive = express.raw({ type: ['application/zip', 'application/octet-stream'], limit: MAX_ARCHIVE_SIZE });
+
+    app.post('/api/saves/import', authenticateToken, limit.saves, rawArchive, async (req, res) => {
+      try {
+        if (!Buffer.isBuffer(req.body) || !req.body.length) {
+          return res.status(400).json({ error: 'Archive required' });
         }
 
-        if (!save) {
+        let entries;
+        try {
+          entries = readArchive(req.body);
+        } catch (error) {
+          return res.status(400).json({ error: error instanceof ArchiveError ? error.message : 'Invalid archive' });
+        }
+
+        // Imported saves overwrite cloud copies of the same character; the
+        // previous data stays available as a revision.
+        const imported = [];
+        const failed = [];
+        for (const { entry, fileName, read, error } of entries) {
+          if (error) {
+            failed.push({ file: entry, error });
+            continue;
+          }
+          let data;
+          try {
+            data = read();
+          } catch (error) {
+            failed.push({ file: entry, error: 'Save file could not be extracted' });
+            continue;
+          }
+          try {
+            saveUploadBytes.observe(data.length);
+            const hero = await parseSaveFile(data);
+            const existing = await storage.saves.findOne({
+              userId: req.user.uid,
+              characterName: hero.characterName,
+            });
+            const save = await writeSave(storage, req.user.uid, existing, hero, data, fileName);
+            if (save) {
+              imported.push(saveInfo(save));
+            } else {
+              failed.push({ file: entry, error: 'Save was modified during import' });
+            }
+          } catch (error) {
+            if (!(error instanceof InvalidSaveError)) {
+              throw error;
+            }
+            failed.push({ file: entry, error: error.message });
+          }
+        }
+
+        res.status(imported.length ? 201 : 400).json({ imported, failed });
+      } catch (error) {
+        req.log.error('Error importing saves:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/api/saves/:id', authenticateToken, limit.saves, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save || save.userId !== req.user.uid) {
           return res.status(404).json({ error: 'Save not found' });
         }
 
         res.set({
           'Content-Type': 'application/octet-stream',
-          'Content-Disposition': `attachment; filename="${save.characterName}.sv"`
+          'Content-Disposition': `attachment; filename="${save.fileName || `${save.characterName}.sv`}"`,
+          'ETag': saveETag(save)
         });
         
-        res.send(Buffer.from(save.saveData, 'base64'));
+        res.send(saveBytes(save));
       } catch (error) {
-        console.error('Error fetching save data:', error);
+        req.log.error('Error fetching save data:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.post('/api/saves', authenticateToken, async (req, res) => {
+    // Saves are uploaded as the raw .sv file (application/octet-stream, file
+    // name in ?fileName=); the older JSON body with base64 saveData still works.
+    const rawSave = express.raw({ type: 'application/octet-stream', limit: MAX_SAVE_SIZE });
+
+    app.post('/api/saves', authenticateToken, limit.saves, rawSave, async (req, res) => {
       try {
-        const { characterName, characterClass, level, saveData } = req.body;
+        let buffer, fileName;
+        if (Buffer.isBuffer(req.body)) {
+          buffer = req.body;
+          fileName = sanitizeFileName(req.query.fileName);
+        } else if (req.body && req.body.saveData) {
+          buffer = Buffer.from(req.body.saveData, 'base64');
+          fileName = sanitizeFileName(req.body.fileName);
+        }
         
-        if (!characterName || !characterClass || !level || !saveData) {
+        if (!buffer || !buffer.length) {
           return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Convert base64 save data to buffer
-        const buffer = Buffer.from(saveData, 'base64');
-
-        const savesRef = db.collection('savegames');
-        const querySnapshot = await savesRef
-          .where('userId', '==', req.user.uid)
-          .where('characterName', '==', characterName)
-          .limit(1)
-          .get();
-
-        let saveGame;
-        if (!querySnapshot.empty) {
-          // Update existing save
-          const existingDoc = querySnapshot.docs[0];
-          await existingDoc.ref.update({
-            saveData: buffer.toString('base64'),
-            level: level,
-            lastSaved: new Date()
-          });
-          const updatedDoc = await existingDoc.ref.get();
-          saveGame = { id: updatedDoc.id, ...updatedDoc.data() };
-        } else {
-          // Create new save
-          saveGame = {
-            userId: req.user.uid,
-            characterName,
-            characterClass,
-            level,
-            saveData: buffer.toString('base64'),
-            lastSaved: new Date(),
-            gameVersion: '1.0'
-          };
-          const docRef = await savesRef.add(saveGame);
-          saveGame.id = docRef.id;
+        saveUploadBytes.observe(buffer.length);
+
+        // Name, class and level come from the hero record, not from the client
+        const hero = await parseSaveFile(buffer);
+        const { characterName, characterClass, level, edition } = hero;
+
+        const existingSave = await storage.saves.findOne({
+          userId: req.user.uid,
+          characterName,
+        });
+
+        // If-Match carries the ETag the client last saw; If-None-Match: * means
+        // the client believes there is no cloud copy yet.
+        const ifMatch = req.get('If-Match');
+        const ifNoneMatch = req.get('If-None-Match');
+        const conflict = current => res.status(409).json({
+          error: 'Save was modified by another device',
+          current: current && saveInfo(current),
+          incoming: { characterName, characterClass, level, edition },
+        });
+
+        if (existingSave) {
+          if ((ifMatch && ifMatch !== '*' && ifMatch !== saveETag(existingSave)) || ifNoneMatch === '*') {
+            return conflict(existingSave);
+          }
+        } else if (ifMatch) {
+          return conflict(null);
+        }
+
+        // Fails if someone else wrote the save since we read it
+        const saveGame = await writeSave(storage, req.user.uid, existingSave, hero, buffer, fileName);
+        if (!saveGame) {
+          return conflict(await storage.saves.get(existingSave.id));
         }
 
+        res.set('ETag', saveETag(saveGame));
         res.status(201).json({ 
           message: 'Game saved successfully', 
-          save: {
-            id: saveGame.id,
-            characterName: saveGame.characterName,
-            characterClass: saveGame.characterClass,
-            level: saveGame.level,
-            lastSaved: saveGame.lastSaved
-          }
+          save: saveInfo(saveGame)
         });
       } catch (error) {
-        console.error('Error saving game:', error);
+        if (error instanceof InvalidSaveError) {
+          return res.status(400).json({ error: error.message });
+        }
+        req.log.error('Error saving game:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Opts a character in or out of the leaderboard
+    app.put('/api/saves/:id/leaderboard', authenticateToken, limit.saves, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save || save.userId !== req.user.uid) {
+          return res.status(404).json({ error: 'Save not found' });
+        }
+        // Rankings are per edition, so saves from before editions were
+        // recorded have to be uploaded again first
+        if (req.body.enabled && !save.edition) {
+          return res.status(400).json({ error: 'Upload this save again before adding it to the leaderboard' });
+        }
+
+        const updated = await storage.saves.update(save.id, { leaderboard: req.body.enabled });
+        res.json({ save: saveInfo(updated) });
+      } catch (error) {
+        req.log.error('Error updating leaderboard setting:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.delete('/api/saves/:id', authenticateToken, async (req, res) => {
+    app.delete('/api/saves/:id', authenticateToken, limit.saves, async (req, res) => {
       try {
-        const saveRef = db.collection('savegames').doc(req.params.id);
-        const saveDoc = await saveRef.get();
+        const save = await storage.saves.get(req.params.id);
 
-        if (!saveDoc.exists || saveDoc.data().userId !== req.user.uid) {
+        if (!save || save.userId !== req.user.uid) {
           return res.status(404).json({ error: 'Save not found' });
         }
         
-        await saveRef.delete();
+        await storage.saves.delete(save.id);
+        await deleteRevisions(storage, save.id);
         
         res.json({ message: 'Save deleted successfully' });
       } catch (error) {
-        console.error('Error deleting save:', error);
+        req.log.error('Error deleting save:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    // Multiplayer Rooms Routes (Simplified for brevity, would need similar Firestore conversion)
-    app.get('/api/multiplayer/rooms', async (req, res) => {
+    // Save Revision Routes
+    app.get('/api/saves/:id/revisions', authenticateToken, limit.saves, async (req, res) => {
       try {
-        const roomsSnapshot = await db.collection('multiplayerrooms')
-          .where('status', '==', 'waiting')
-          .where('isPublic', '==', true)
-          .orderBy('createdAt', 'desc')
-          .get();
-        
-        const rooms = await Promise.all(roomsSnapshot.docs.map(async (doc) => {
-          const room = doc.data();
-          const hostDoc = await db.collection('users').doc(room.host).get();
-          const host = hostDoc.exists ? hostDoc.data() : { username: 'Unknown' };
-          return {
-            id: doc.id,
-            ...room,
-            host: { username: host.displayName },
-          };
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save || save.userId !== req.user.uid) {
+          return res.status(404).json({ error: 'Save not found' });
+        }
+
+        const revisions = await listRevisions(storage, save.id);
+        res.json(revisions.map(revision => revisionInfo(revision, save.revisionId)));
+      } catch (error) {
+        req.log.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/api/saves/:id/revisions/:revisionId', authenticateToken, limit.saves, async (req, res) => {
+      try {
+        const revision = await storage.revisions.get(req.params.revisionId);
+
+        if (!revision || revision.saveId !== req.params.id || revision.userId !== req.user.uid) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.set({
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': `attachment; filename="${revision.fileName || `${revision.characterName}.sv`}"`
+        });
+
+        res.send(saveBytes(revision));
+      } catch (error) {
+        req.log.error('Error fetching revision data:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.post('/api/saves/:id/revisions/:revisionId/restore', authenticateToken, limit.saves, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+        const revision = await storage.revisions.get(req.params.revisionId);
+
+        if (!save || save.userId !== req.user.uid || !revision || revision.saveId !== save.id) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        // If-Match carries the ETag the client last saw, as for uploads
+        const ifMatch = req.get('If-Match');
+        const edition = revision.edition || save.edition || null;
+        const conflict = current => res.status(409).json({
+          error: 'Save was modified by another device',
+          current: current && saveInfo(current),
+          incoming: { characterName: revision.characterName, characterClass: revision.characterClass, level: revision.level, edition },
+        });
+        if (ifMatch && ifMatch !== '*' && ifMatch !== saveETag(save)) {
+          return conflict(save);
+        }
+
+        // Restoring records a new revision, so it can be undone like any
+        // upload. Revisions from before they kept the edition or slot name
+        // keep the save's.
+        const restored = await storage.saves.updateIf(save.id, { version: save.version }, {
+          saveData: revision.saveData,
+          characterClass: revision.characterClass,
+          level: revision.level,
+          edition,
+          fileName: revision.fileName || save.fileName || null,
+          lastSaved: new Date(),
+          version: (save.version || 0) + 1
+        });
+        if (!restored) {
+          return conflict(await storage.saves.get(save.id));
+        }
+        const newRevision = await addRevision(storage, restored);
+        await storage.saves.update(save.id, { revisionId: newRevision.id });
+
+        res.set('ETag', saveETag(restored));
+        res.json({
+          message: 'Revision restored successfully',
+          save: saveInfo(restored)
+        });
+      } catch (error) {
+        req.log.error('Error restoring revision:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Leaderboard Routes
+    app.get('/api/leaderboard', limit.leaderboard, async (req, res) => {
+      try {
+        // class, edition and limit are checked against the API document
+        const { edition, limit } = req.query;
+        const characterClass = req.query.class;
+
+        const entries = await leaderboard(storage, { characterClass, edition, limit });
+
+        res.json({ class: characterClass || null, edition: edition || null, entries });
+      } catch (error) {
+        req.log.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Multiplayer Rooms Routes
+    app.get('/api/multiplayer/rooms', limit.rooms, async (req, res) => {
+      try {
+        const { query } = req;
+        res.json(await listRooms(storage, {
+          hasPassword: query.hasPassword,
+          minFreeSlots: query.freeSlots,
+          sort: query.sort,
+          order: query.order,
+          cursor: query.cursor,
+          limit: query.limit,
         }));
-        
-        res.json({ rooms });
       } catch (error) {
-        console.error('Error fetching rooms:', error);
+        if (error instanceof CursorError) {
+          return res.status(400).json({ error: error.message });
+        }
+        req.log.error('Error fetching rooms:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.post('/api/multiplayer/rooms', authenticateToken, async (req, res) => {
+    app.post('/api/multiplayer/rooms', authenticateToken, limit.rooms, async (req, res) => {
       try {
         const { name, maxPlayers, isPublic, password } = req.body;
-        
-        if (!name) {
-          return res.status(400).json({ error: 'Room name required' });
+        const settings = roomSettings(req.body);
+        const level = req.body.level || 1;
+
+        if (settings.minLevel > settings.maxLevel) {
+          return res.status(400).json({ error: 'minLevel must not be above maxLevel' });
+        }
+        if (level < settings.minLevel || level > settings.maxLevel) {
+          return res.status(400).json({ error: 'Your level is outside the room level range' });
         }
 
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const user = await storage.users.get(req.user.uid);
         
-        if (!userDoc.exists) {
+        if (!user) {
           return res.status(404).json({ error: 'User not found' });
         }
-        const user = userDoc.data();
 
         const room = {
+          ...settings,
           name,
           host: req.user.uid,
-          maxPlayers: maxPlayers || 4,
+          hostName: user.displayName || null,
+          maxPlayers: maxPlayers || MAX_PLAYERS,
           isPublic: isPublic !== false,
-          password: password || null,
-          players: [{
-            userId: req.user.uid,
-            playerName: req.body.playerName || user.displayName,
-            characterClass: req.body.characterClass || 'Warrior',
-            level: req.body.level || 1,
-            joinedAt: new Date(),
-          }],
+          passwordHash: password ? await hashPassword(password) : null,
           status: 'waiting',
           createdAt: new Date(),
         };
         
-        const docRef = await db.collection('multiplayerrooms').add(room);
-        room.id = docRef.id;
+        const createdRoom = await storage.rooms.create({
+          ...room,
+          ...roomPlayers(room, [{
+            userId: req.user.uid,
+            playerName: req.body.playerName || user.displayName || 'Player',
+            characterClass: req.body.characterClass || 'Warrior',
+            level,
+            joinedAt: new Date(),
+          }]),
+        });
 
-        const populatedRoom = { ...room, host: { username: user.displayName } };
+        const populatedRoom = roomListing(createdRoom);
 
         io.emit('room-created', populatedRoom);
         res.status(201).json(populatedRoom);
       } catch (error) {
-        console.error('Error creating room:', error);
+        req.log.error('Error creating room:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.post('/api/multiplayer/rooms/join', authenticateToken, async (req, res) => {
+    app.post('/api/multiplayer/rooms/join', authenticateToken, limit.rooms, async (req, res) => {
       try {
-        const { roomId, playerName, characterClass, level, password } = req.body;
-        
-        if (!roomId || !playerName) {
-          return res.status(400).json({ error: 'Room ID and player name required' });
+        const { roomId, playerName, characterClass, password, edition, gameVersion } = req.body;
+        const level = req.body.level || 1;
+        const newPlayer = {
+          userId: req.user.uid,
+          playerName,
+          characterClass: characterClass || 'Warrior',
+          level,
+          joinedAt: new Date(),
+        };
+
+        // The room is only written if nobody changed it since it was read, so
+        // concurrent joins cannot overfill it or drop each other's player.
+        // Otherwise the checks run again on the changed room.
+        let updatedRoom = null;
+        for (let attempt = 0; !updatedRoom && attempt < ROOM_WRITE_ATTEMPTS; ++attempt) {
+          const room = await storage.rooms.get(roomId);
+
+          // Incompatible players are told why, like RejectionReason in the game
+          const rejection = await joinRejection(room, req.user.uid, { password, level, edition, gameVersion });
+          if (rejection) {
+            return res.status(rejection.status).json({ error: rejection.error, reason: rejection.reason });
+          }
+
+          updatedRoom = await storage.rooms.updateIf(roomId, { version: room.version }, roomPlayers(room, [...room.players, newPlayer]));
+        }
+        if (!updatedRoom) {
+          return res.status(409).json({ error: 'The room is busy, try again' });
         }
 
-        const roomRef = db.collection('multiplayerrooms').doc(roomId);
-        const roomDoc = await roomRef.get();
+        const populatedRoom = roomListing(updatedRoom);
+
+        io.to(roomId).emit('player-joined', populatedRoom);
+        res.json(populatedRoom);
+      } catch (error) {
+        req.log.error('Error joining room:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.post('/api/multiplayer/rooms/leave', authenticateToken, limit.rooms, async (req, res) => {
+      try {
+        const { roomId } = req.body;
+        const room = await storage.rooms.get(roomId);
         
-        if (!roomDoc.exists) {
+        if (!room) {
           return res.status(404).json({ error: 'Room not found' });
         }
-        const room = roomDoc.data();
 
-        if (room.status !== 'waiting') {
-          return res.status(400).json({ error: 'Room is not accepting players' });
-        }
+        // Deletes the room if it becomes empty, otherwise passes on the host role
+        await removePlayer(storage, io, roomId, req.user.uid);
+        presence.forget(roomId, req.user.uid);
+        userPresence.changed(req.user.uid);
+
+        res.json({ message: 'Left room successfully' });
+      } catch (error) {
+        req.log.error('Error leaving room:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-        if (room.players.length >= room.maxPlayers) {
-          return res.status(400).json({ error: 'Room is full' });
+    // Host only: removes a player from the room, banning also keeps them out
+    for (const action of ['kick', 'ban']) {
+      app.post(`/api/multiplayer/rooms/:id/${action}`, authenticateToken, limit.rooms, async (req, res) => {
+        try {
+          await moderation.kick(req.user.uid, req.params.id, req.body.userId, { ban: action === 'ban' });
+          res.json({ message: action === 'ban' ? 'Player banned' : 'Player kicked' });
+        } catch (error) {
+          if (error instanceof ModerationError) {
+            return res.status(error.status).json({ error: error.message });
+          }
+          req.log.error(`Error running ${action}:`, error);
+          res.status(500).json({ error: 'Internal server error' });
         }
+      });
+    }
+
+    // Recent chat of a room, for players that just joined
+    app.get('/api/multiplayer/rooms/:id/chat', authenticateToken, limit.rooms, async (req, res) => {
+      try {
+        const room = await storage.rooms.get(req.params.id);
 
-        if (room.password && room.password !== password) {
-          return res.status(401).json({ error: 'Invalid room password' });
+        if (!room || !room.players.some(p => p.userId === req.user.uid)) {
+          return res.status(404).json({ error: 'Room not found' });
         }
 
-        const existingPlayer = room.players.find(p => p.userId === req.user.uid);
-        
-        if (existingPlayer) {
-          return res.status(400).json({ error: 'Already in room' });
+        res.json({ messages: await listMessages(storage, room.id) });
+      } catch (error) {
+        req.log.error('Error fetching chat:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Friends Routes
+    app.get('/api/friends', authenticateToken, limit.friends, async (req, res) => {
+      try {
+        const user = await storage.users.get(req.user.uid);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
         }
 
-        const newPlayer = {
-          userId: req.user.uid,
-          playerName,
-          characterClass: characterClass || 'Warrior',
-          level: level || 1,
-          joinedAt: new Date(),
+        const load = ids => Promise.all((ids || []).map(id => storage.users.get(id)))
+          .then(users => users.filter(Boolean).map(friends.friendInfo));
+
+        const list = await Promise.all((await load(user.friends)).map(async (friend) => ({
+          ...friend,
+          status: await userPresence.status(friend.userId),
+        })));
+
+        res.json({
+          friends: list,
+          incoming: await load(user.friendRequests),
+          outgoing: await load(user.outgoingRequests),
+        });
+      } catch (error) {
+        req.log.error('Error fetching friends:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Friends can be added by user id or by email
+    app.post('/api/friends/requests', authenticateToken, limit.friends, async (req, res) => {
+      try {
+        const { userId, email } = req.body;
+        const user = await friends.getUser(storage, req.user.uid);
+        const send = async (target) => {
+          const result = await friends.sendRequest(storage, user, target);
+          if (result === 'accepted') {
+            userPresence.changed(user.id);
+            userPresence.changed(target.id);
+          }
+          io.to(userChannel(target.id)).emit('friend-request', { ...friends.friendInfo(user), result });
+          return result;
         };
+        // Who the other user is only shows once they are a friend
+        const reply = (target, result) => res.status(201).json({
+          status: result,
+          ...(result === 'accepted' && { user: friends.friendInfo(target) }),
+        });
+
+        if (userId) {
+          const target = await friends.getUser(storage, userId);
+          return reply(target, await send(target));
+        }
+
+        // By email the answer is the same whether or not someone has that
+        // address, so emails cannot be checked for accounts
+        const target = await storage.users.findOne({ email: email.toLowerCase() });
+        let result = 'requested';
+        if (target) {
+          try {
+            result = await send(target);
+          } catch (error) {
+            if (!(error instanceof friends.FriendError)) {
+              throw error;
+            }
+          }
+        }
+        reply(target, result);
+      } catch (error) {
+        if (error instanceof friends.FriendError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        req.log.error('Error sending friend request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.post('/api/friends/requests/:userId/accept', authenticateToken, limit.friends, async (req, res) => {
+      try {
+        const user = await friends.getUser(storage, req.user.uid);
+        await friends.acceptRequest(storage, user, req.params.userId);
+
+        userPresence.changed(user.id);
+        userPresence.changed(req.params.userId);
+        io.to(userChannel(req.params.userId)).emit('friend-request', { ...friends.friendInfo(user), result: 'accepted' });
+
+        res.json({ message: 'Friend request accepted' });
+      } catch (error) {
+        if (error instanceof friends.FriendError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        req.log.error('Error accepting friend request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Declines an incoming request or cancels an outgoing one
+    app.delete('/api/friends/requests/:userId', authenticateToken, limit.friends, async (req, res) => {
+      try {
+        const user = await friends.getUser(storage, req.user.uid);
+        await friends.dropRequest(storage, user, req.params.userId);
+
+        res.json({ message: 'Friend request removed' });
+      } catch (error) {
+        if (error instanceof friends.FriendError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        req.log.error('Error removing friend request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.delete('/api/friends/:userId', authenticateToken, limit.friends, async (req, res) => {
+      try {
+        const user = await friends.getUser(storage, req.user.uid);
+        await friends.removeFriend(storage, user, req.params.userId);
+
+        res.json({ message: 'Friend removed' });
+      } catch (error) {
+        if (error instanceof friends.FriendError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        req.log.error('Error removing friend:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Admin Routes
+    const admin = [authenticateToken, requireAdmin, limit.admin];
+
+    app.get('/api/admin/users', ...admin, async (req, res) => {
+      try {
+        const users = await searchUsers(storage, req.query.q, req.query.limit);
+        res.json({ users });
+      } catch (error) {
+        req.log.error('Error searching users:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-        await roomRef.update({
-          players: admin.firestore.FieldValue.arrayUnion(newPlayer)
+    app.get('/api/admin/users/:id', ...admin, async (req, res) => {
+      try {
+        const user = await storage.users.get(req.params.id);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const saves = await storage.saves.find({ userId: user.id }, { orderBy: 'lastSaved', direction: 'desc' });
+        res.json({ user: userInfo(user), saves: saves.map(saveInfo) });
+      } catch (error) {
+        req.log.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.post('/api/admin/users/:id/ban', ...admin, async (req, res) => {
+      try {
+        const user = await storage.users.get(req.params.id);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.user.uid) {
+          return res.status(400).json({ error: 'You cannot ban yourself' });
+        }
+
+        const updated = await storage.users.update(user.id, {
+          banned: true,
+          banReason: req.body.reason || null,
+          bannedAt: new Date(),
+          bannedBy: req.user.uid,
+        });
+        await kickEverywhere(storage, io, user.id);
+
+        req.log.info(`Admin ${req.user.uid} banned user ${user.id}`);
+        res.json({ user: userInfo(updated) });
+      } catch (error) {
+        req.log.error('Error banning user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.post('/api/admin/users/:id/unban', ...admin, async (req, res) => {
+      try {
+        const user = await storage.users.get(req.params.id);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const updated = await storage.users.update(user.id, {
+          banned: false,
+          banReason: null,
+          bannedAt: null,
+          bannedBy: null,
         });
 
-        const updatedRoomDoc = await roomRef.get();
-        const updatedRoom = updatedRoomDoc.data();
+        req.log.info(`Admin ${req.user.uid} unbanned user ${user.id}`);
+        res.json({ user: userInfo(updated) });
+      } catch (error) {
+        req.log.error('Error unbanning user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-        const hostDoc = await db.collection('users').doc(updatedRoom.host).get();
-        updatedRoom.host = hostDoc.exists ? { username: hostDoc.data().displayName } : { username: 'Unknown' };
+    app.put('/api/admin/users/:id/role', ...admin, async (req, res) => {
+      try {
+        const { role } = req.body;
+        const user = await storage.users.get(req.params.id);
+
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const updated = await storage.users.update(user.id, { role });
 
-        io.to(roomId).emit('player-joined', updatedRoom);
-        res.json(updatedRoom);
+        req.log.info(`Admin ${req.user.uid} set role of ${user.id} to ${role}`);
+        res.json({ user: userInfo(updated) });
       } catch (error) {
-        console.error('Error joining room:', error);
+        req.log.error('Error updating role:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    app.post('/api/multiplayer/rooms/leave', authenticateToken, async (req, res) => {
+    app.delete('/api/admin/rooms/:id', ...admin, async (req, res) => {
       try {
-        const { roomId } = req.body;
-        const roomRef = db.collection('multiplayerrooms').doc(roomId);
-        const roomDoc = await roomRef.get();
-        
-        if (!roomDoc.exists) {
+        const room = await storage.rooms.get(req.params.id);
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        await closeRoom(storage, io, room.id);
+        for (const player of room.players) {
+          presence.forget(room.id, player.userId);
+        }
+
+        req.log.info(`Admin ${req.user.uid} closed room ${room.id}`);
+        res.json({ message: 'Room closed' });
+      } catch (error) {
+        req.log.error('Error closing room:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/api/admin/saves/:id', ...admin, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save) {
           return res.status(404).json({ error: 'Save not found' });
         }
-        const room = roomDoc.data();
-        const players = room.players.filter(p => p.userId !== req.user.uid);
 
-        if (players.length === 0) {
-          // Delete empty room
-          await roomRef.delete();
-          io.emit('room-closed', roomId);
-        } else {
-          // If host left, assign new host
-          const newHost = room.host === req.user.uid ? players[0].userId : room.host;
-          await roomRef.update({
-            players: players,
-            host: newHost
-          });
-          const updatedRoomDoc = await roomRef.get();
-          const updatedRoom = updatedRoomDoc.data();
-          if (updatedRoom) {
-            io.to(roomId).emit('player-left', updatedRoom);
-          }
+        const revisions = await listRevisions(storage, save.id);
+        res.json({
+          save: { ...saveInfo(save), userId: save.userId, fileName: save.fileName || null },
+          revisions: revisions.map(revision => revisionInfo(revision, save.revisionId)),
+        });
+      } catch (error) {
+        req.log.error('Error fetching save:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/api/admin/saves/:id/data', ...admin, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save) {
+          return res.status(404).json({ error: 'Save not found' });
         }
 
-        res.json({ message: 'Left room successfully' });
+        res.set({
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': `attachment; filename="${save.fileName || `${save.characterName}.sv`}"`,
+        });
+
+        res.send(saveBytes(save));
       } catch (error) {
-        console.error('Error leaving room:', error);
+        req.log.error('Error downloading save:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.delete('/api/admin/saves/:id', ...admin, async (req, res) => {
+      try {
+        const save = await storage.saves.get(req.params.id);
+
+        if (!save) {
+          return res.status(404).json({ error: 'Save not found' });
+        }
+
+        await storage.saves.delete(save.id);
+        await deleteRevisions(storage, save.id);
+
+        req.log.info(`Admin ${req.user.uid} deleted save ${save.id} of user ${save.userId}`);
+        res.json({ message: 'Save deleted successfully' });
+      } catch (error) {
+        req.log.error('Error deleting save:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
     // Socket.IO for real-time communication
     io.on('connection', (socket) => {
-      console.log('User connected:', socket.id);
+      const { uid } = socket.data.user;
+      const log = logger.child({ socketId: socket.id, uid });
+      log.info('User connected');
+
+      // Lets the server reach every socket of a user, e.g. when they leave a room
+      socket.join(userChannel(uid));
+      relay.register(socket);
+      tickets.register(socket);
+      matchmaker.register(socket);
+      userPresence.connect(socket);
 
-      socket.on('join-room', (roomId) => {
-        socket.join(roomId);
-        console.log(`User ${socket.id} joined room ${roomId}`);
+      socket.on('join-room', async (roomId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          const room = roomId && await storage.rooms.get(String(roomId));
+          if (!room || !room.players.some(p => p.userId === uid)) {
+            return reply({ error: 'Not a member of this room' });
+          }
+          socket.join(room.id);
+          // Players rejoining after a restart reopen their room
+          await resumeRoom(storage, io, room);
+          presence.join(socket, room.id, uid);
+          userPresence.changed(uid);
+          log.info(`User ${uid} joined room ${room.id}`);
+          reply({ ok: true });
+        } catch (error) {
+          log.error('Error joining room channel:', error);
+          reply({ error: 'Internal server error' });
+        }
       });
 
       socket.on('leave-room', (roomId) => {
         socket.leave(roomId);
-        console.log(`User ${socket.id} left room ${roomId}`);
+        presence.leave(socket, roomId);
+        userPresence.changed(uid);
+        log.info(`User ${uid} left room ${roomId}`);
+      });
+
+      socket.on('heartbeat', () => {
+        presence.heartbeat(socket);
       });
 
+      // Events are only relayed into rooms the socket was admitted to, and
+      // carry the verified sender so clients cannot impersonate each other
       socket.on('game-event', (data) => {
-        // Broadcast game events to other players in the same room
-        socket.to(data.roomId).emit('game-event', data);
+        if (data && socket.rooms.has(data.roomId)) {
+          socket.to(data.roomId).emit('game-event', { ...data, sender: uid });
+        }
       });
 
-      socket.on('chat-message', (data) => {
-        // Broadcast chat messages to the room
-        io.to(data.roomId).emit('chat-message', data);
+      // Chat is stored and moderated, see multiplayer/chat.js
+      socket.on('chat-message', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          if (!data || !socket.rooms.has(data.roomId)) {
+            return reply({ error: 'Not a member of this room' });
+          }
+          const message = await chat.send(uid, data.roomId, data.text);
+          reply({ ok: true, message });
+        } catch (error) {
+          if (error instanceof ChatError) {
+            return reply({ error: error.message });
+          }
+          log.error('Error sending chat message:', error);
+          reply({ error: 'Internal server error' });
+        }
       });
 
+      // Same as the kick and ban routes, for hosts already in the room
+      for (const action of ['kick', 'ban']) {
+        socket.on(`${action}-player`, async (data, ack) => {
+          const reply = typeof ack === 'function' ? ack : () => {};
+          try {
+            const { roomId, userId } = data || {};
+            if (typeof userId !== 'string' || !userId) {
+              return reply({ error: 'userId is required' });
+            }
+            await moderation.kick(uid, roomId, userId, { ban: action === 'ban' });
+            reply({ ok: true });
+          } catch (error) {
+            if (error instanceof ModerationError) {
+              return reply({ error: error.message });
+            }
+            log.error(`Error running ${action}:`, error);
+            reply({ error: 'Internal server error' });
+          }
+        });
+      }
+
       socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+        presence.disconnect(socket);
+        userPresence.disconnect(socket);
+        log.info('User disconnected');
       });
     });
 
     // Error handling middleware
     app.use((error, req, res, next) => {
-      console.error('Unhandled error:', error);
+      // Requests that do not match the API document list the offending fields
+      if (isValidationError(error) && error.status < 500) {
+        if (error.headers) {
+          res.set(error.headers);
+        }
+        return res.status(error.status).json(validationResponse(error));
+      }
+      // body-parser errors (oversized or malformed bodies) are client errors
+      if (error.expose && error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      req.log.error('Unhandled error:', error);
       res.status(500).json({ error: 'Internal server error' });
     });
 
@@ -446,12 +1322,14 @@ async function startServer() {
     const PORT = process.env.PORT || 10000;
     
     server.listen(PORT, () => {
-      console.log(`🎮 Diablo Web Server running on port ${PORT}`);
-      console.log(`🚀 API Health: https://diablo-web-backend-rjqs.onrender.com/api/health`);
+      logger.info(`🎮 Diablo Web Server running on port ${PORT}`);
+      logger.info(`🚀 API Health: https://diablo-web-backend-rjqs.onrender.com/api/health`);
+      presence.start();
+      matchmaker.start();
     });
 
   } catch (error) {
-    console.error('❌ Falha ao iniciar servidor:', error);
+    logger.error('❌ Falha ao iniciar servidor:', error);
     process.exit(1);
   }
 }
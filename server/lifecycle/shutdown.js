@@ -0,0 +1,112 @@
+const { interruptRooms } = require('../multiplayer/rooms');
+const { logger } = require('../observability/logger');
+
+// How long in-flight requests (save uploads in particular) may take to finish
+const TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Health checks keep answering while shutting down, readiness reports it
+const HEALTH_PATH = /^\/api\/health(\/|$)/;
+
+// Shuts the server down on SIGTERM (sent by Render on every deploy or
+// restart): new requests are refused, connected clients are told the server
+// is restarting, in-flight requests are allowed to finish and rooms are
+// marked as interrupted, so their players can pick up where they left off
+// once the server is back (see resumeRoom in multiplayer/rooms.js).
+class GracefulShutdown {
+  constructor({ server, io, storage, presence, matchmaker, gameServer }) {
+    this.server = server;
+    this.io = io;
+    this.storage = storage;
+    this.presence = presence;
+    this.matchmaker = matchmaker;
+    this.gameServer = gameServer;
+    this.shuttingDown = false;
+    this.inFlight = 0;
+    this.drained = null;
+  }
+
+  // Counts requests in flight, and refuses new ones once shutting down
+  middleware() {
+    return (req, res, next) => {
+      if (this.shuttingDown && !HEALTH_PATH.test(req.path)) {
+        res.set({ 'Connection': 'close', 'Retry-After': '5' });
+        return res.status(503).json({ error: 'Server is restarting' });
+      }
+
+      this.inFlight++;
+      let done = false;
+      const finish = () => {
+        if (!done) {
+          done = true;
+          this.inFlight--;
+          if (!this.inFlight && this.drained) {
+            this.drained();
+          }
+        }
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  listen() {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => {
+        this.run(signal)
+          .then(() => process.exit(0))
+          .catch(error => {
+            logger.error('Error shutting down:', error);
+            process.exit(1);
+          });
+      });
+    }
+    return this;
+  }
+
+  drain() {
+    if (!this.inFlight) {
+      return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), TIMEOUT_MS);
+      this.drained = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    });
+  }
+
+  async run(signal) {
+    if (this.shuttingDown) {
+      return;
+    }
+    this.shuttingDown = true;
+    logger.info(`${signal} recebido, encerrando servidor`);
+
+    this.server.close();
+    // Node 18.2+; older versions keep idle keep-alive sockets until they time out
+    if (typeof this.server.closeIdleConnections === 'function') {
+      this.server.closeIdleConnections();
+    }
+    this.presence.stop();
+    this.matchmaker.stop();
+    this.io.emit('server-shutdown', { message: 'Server is restarting' });
+
+    if (!await this.drain()) {
+      logger.warn(`${this.inFlight} requests still running after ${TIMEOUT_MS}ms`);
+    }
+
+    const interrupted = await interruptRooms(this.storage);
+    logger.info(`${interrupted} rooms marked as interrupted`);
+
+    // Sockets are closed without a disconnect packet, so Socket.IO clients
+    // keep trying to reconnect until the server is back
+    this.gameServer.close();
+    await this.io.close();
+    await this.storage.close();
+    logger.info('Servidor encerrado');
+  }
+}
+
+module.exports = GracefulShutdown;
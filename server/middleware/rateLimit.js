@@ -0,0 +1,88 @@
+// Token bucket rate limiting. Each client gets a bucket of `requests` tokens
+// that refills over `seconds`; a request takes one token and is answered with
+// 429 once the bucket is empty. Clients are keyed by uid on authenticated
+// routes (so place the limiter after authenticateToken) and by IP otherwise.
+
+// Limits per route group, overridable as RATE_LIMIT_<GROUP>=<requests>/<seconds>
+const DEFAULT_LIMITS = {
+  auth: '10/60',
+  saves: '60/60',
+  rooms: '30/60',
+  friends: '30/60',
+  leaderboard: '30/60',
+  admin: '120/60',
+};
+
+// Buckets that refilled completely are dropped this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function parseLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || !parseInt(match[1], 10) || !parseInt(match[2], 10)) {
+    return null;
+  }
+  return { requests: parseInt(match[1], 10), seconds: parseInt(match[2], 10) };
+}
+
+class TokenBucketLimiter {
+  constructor({ requests, seconds }) {
+    this.capacity = requests;
+    this.refillPerMs = requests / (seconds * 1000);
+    // key -> { tokens, updatedAt }
+    this.buckets = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  refill(bucket, now) {
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  // Returns 0 if the request may go ahead, or the milliseconds until it may
+  take(key) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    this.refill(bucket, now);
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / this.refillPerMs);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+function rateLimit(group) {
+  const variable = `RATE_LIMIT_${group.toUpperCase()}`;
+  const limit = parseLimit(process.env[variable]) || parseLimit(DEFAULT_LIMITS[group]);
+  if (!limit) {
+    throw new Error(`No rate limit configured for ${group}, set ${variable}`);
+  }
+  const limiter = new TokenBucketLimiter(limit);
+
+  return (req, res, next) => {
+    const key = req.user ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+    const waitMs = limiter.take(key);
+    if (waitMs) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit, TokenBucketLimiter };
@@ -0,0 +1,138 @@
+const env = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Messages kept per room for players joining later
+const HISTORY_SIZE = env('CHAT_HISTORY', 50);
+const MAX_LENGTH = env('CHAT_MAX_LENGTH', 200);
+// At most CHAT_RATE_LIMIT messages per user within CHAT_RATE_WINDOW_MS
+const RATE_LIMIT = env('CHAT_RATE_LIMIT', 5);
+const RATE_WINDOW_MS = env('CHAT_RATE_WINDOW_MS', 10 * 1000);
+// Comma separated words that are masked out of messages
+const BANNED_WORDS = (process.env.CHAT_BANNED_WORDS || '')
+  .split(',').map(word => word.trim()).filter(Boolean);
+
+class ChatError extends Error {}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const bannedPattern = BANNED_WORDS.length
+  ? new RegExp(`\\b(${BANNED_WORDS.map(escapeRegExp).join('|')})\\b`, 'gi')
+  : null;
+
+function filterWords(text) {
+  return bannedPattern ? text.replace(bannedPattern, word => '*'.repeat(word.length)) : text;
+}
+
+function messageInfo(message) {
+  return {
+    id: message.id,
+    roomId: message.roomId,
+    userId: message.userId,
+    displayName: message.displayName,
+    text: message.text,
+    createdAt: message.createdAt,
+  };
+}
+
+function listMessages(storage, roomId) {
+  return storage.chat.find({ roomId }, { orderBy: 'createdAt', direction: 'desc', limit: HISTORY_SIZE })
+    .then(messages => messages.reverse().map(messageInfo));
+}
+
+async function deleteMessages(storage, roomId) {
+  for (const message of await storage.chat.find({ roomId })) {
+    await storage.chat.delete(message.id);
+  }
+}
+
+// Room chat: messages are stored with the sender's display name from their
+// profile, checked against the rate and length limits and the room's mute
+// list, and relayed to the room. The host can `/mute <user id>` and
+// `/unmute <user id>`; like kicks and bans, mutes go by user id, as players
+// choose their names and can share or change them.
+class RoomChat {
+  constructor(storage, io) {
+    this.storage = storage;
+    this.io = io;
+    // userId -> timestamps of recent messages
+    this.recent = new Map();
+  }
+
+  async send(userId, roomId, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ChatError('Message required');
+    }
+    text = text.trim();
+    if (text.length > MAX_LENGTH) {
+      throw new ChatError(`Message is longer than ${MAX_LENGTH} characters`);
+    }
+
+    const room = await this.storage.rooms.get(roomId);
+    if (!room || !room.players.some(p => p.userId === userId)) {
+      throw new ChatError('Not a member of this room');
+    }
+
+    const command = text.match(/^\/(mute|unmute)\s+(\S+)$/i);
+    if (command) {
+      return this.mute(room, userId, command[2], command[1].toLowerCase() === 'mute');
+    }
+
+    if ((room.mutedUsers || []).includes(userId)) {
+      throw new ChatError('You are muted in this room');
+    }
+    this.limit(userId);
+
+    const user = await this.storage.users.get(userId);
+    const message = await this.storage.chat.create({
+      roomId,
+      userId,
+      displayName: (user && user.displayName) || 'Unknown',
+      text: filterWords(text),
+      createdAt: new Date(),
+    });
+    await this.prune(roomId);
+
+    const info = messageInfo(message);
+    this.io.to(roomId).emit('chat-message', info);
+    return info;
+  }
+
+  limit(userId) {
+    const now = Date.now();
+    const recent = (this.recent.get(userId) || []).filter(time => now - time < RATE_WINDOW_MS);
+    if (recent.length >= RATE_LIMIT) {
+      throw new ChatError('You are sending messages too fast');
+    }
+    recent.push(now);
+    this.recent.set(userId, recent);
+  }
+
+  // Players that left can still be unmuted
+  async mute(room, userId, targetId, muted) {
+    if (room.host !== userId) {
+      throw new ChatError('Only the host can mute players');
+    }
+    const known = room.players.some(p => p.userId === targetId) || (room.mutedUsers || []).includes(targetId);
+    if (!known || targetId === userId) {
+      throw new ChatError(`No player with id ${targetId}`);
+    }
+
+    const mutedUsers = (room.mutedUsers || []).filter(id => id !== targetId);
+    if (muted) {
+      mutedUsers.push(targetId);
+    }
+    await this.storage.rooms.update(room.id, { mutedUsers });
+    this.io.to(room.id).emit('chat-muted', { roomId: room.id, userId: targetId, muted });
+    return null;
+  }
+
+  async prune(roomId) {
+    const messages = await this.storage.chat.find({ roomId }, { orderBy: 'createdAt', direction: 'desc' });
+    for (const old of messages.slice(HISTORY_SIZE)) {
+      await this.storage.chat.delete(old.id);
+    }
+  }
+}
+
+module.exports = { RoomChat, ChatError, listMessages, deleteMessages };
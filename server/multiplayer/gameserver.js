@@ -0,0 +1,333 @@
+const { WebSocketServer } = require('ws');
+const { logger } = require('../observability/logger');
+
+// Version of the protocol implemented here, sent in the 0x32 handshake
+const PROTOCOL_VERSION = 1;
+const MAX_PLRS = 4;
+const PING_INTERVAL_MS = 30 * 1000;
+
+// Disconnect reasons, as used by the game
+const LEAVE_GAME = 3;
+const LEAVE_ENDING = 0x40000004;
+const CONNECTION_LOST = 0x40000006;
+const DROP_REASONS = [LEAVE_GAME, LEAVE_ENDING, CONNECTION_LOST];
+
+// Relay for the game's own network protocol (see src/api/websocket.js and
+// src/api/packet.js), so games can be hosted without a peer-to-peer link.
+// Every WebSocket connection is one game client; it may create or join one
+// game at a time, and the server forwards messages and turns between the
+// players of that game.
+//
+// Signed-in players connect with a join ticket (see tickets.js) in the
+// `ticket` query parameter. As with peer-to-peer games, only signed-in
+// players can join the game of a signed-in host, and not if they are banned
+// from one of the host's rooms.
+class GameServer {
+  constructor(packet, tickets) {
+    this.packet = packet;
+    this.tickets = tickets;
+    // game name -> { name, password, difficulty, version, seed, host, players }
+    this.games = new Map();
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (ws, req, uid) => this.onConnection(ws, uid));
+    this.timer = null;
+  }
+
+  attach(server, path) {
+    server.on('upgrade', (req, socket, head) => {
+      // Other upgrades (Socket.IO) are left to their own listeners
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        return;
+      }
+      const ticket = url.searchParams.get('ticket');
+      let uid = null;
+      if (ticket) {
+        try {
+          ({ uid } = this.tickets.holder(ticket));
+        } catch (error) {
+          socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          return;
+        }
+      }
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req, uid));
+    });
+
+    // Connections that went away without closing would otherwise hold their
+    // seat forever
+    this.timer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.alive) {
+          ws.terminate();
+          continue;
+        }
+        ws.alive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL_MS);
+    this.timer.unref();
+    return this;
+  }
+
+  // 1012 (service restart) tells clients they may reconnect shortly
+  close() {
+    clearInterval(this.timer);
+    for (const ws of this.wss.clients) {
+      ws.close(1012, 'server restarting');
+    }
+    this.wss.close();
+  }
+
+  playerCount() {
+    let count = 0;
+    for (const game of this.games.values()) {
+      count += game.players.filter(Boolean).length;
+    }
+    return count;
+  }
+
+  // uid is null for signed-out players
+  onConnection(ws, uid = null) {
+    const { write_packet, server_packet } = this.packet;
+    const client = { ws, uid, version: null, game: null, id: null };
+
+    ws.alive = true;
+    ws.on('pong', () => ws.alive = true);
+    ws.on('message', data => {
+      try {
+        this.receive(client, data);
+      } catch (error) {
+        logger.error('Invalid game packet:', error.message);
+        ws.close(1002, 'invalid packet');
+      }
+    });
+    ws.on('close', () => {
+      if (client.game) {
+        this.drop(client.game, client.id, CONNECTION_LOST);
+      }
+    });
+
+    ws.send(write_packet(server_packet.info, { version: PROTOCOL_VERSION }));
+  }
+
+  // Clients send either a single packet or a batch of them (code 0x00)
+  receive(client, data) {
+    const { buffer_reader, read_packet, client_packet } = this.packet;
+    const reader = new buffer_reader(data);
+    const { type, packet } = read_packet(reader, client_packet);
+    if (!reader.done()) {
+      throw Error('packet too large');
+    }
+    if (type === client_packet.batch) {
+      for (const { type, packet: pkt } of packet) {
+        this.handle(client, type, pkt);
+      }
+    } else {
+      this.handle(client, type, packet);
+    }
+  }
+
+  handle(client, type, pkt) {
+    const { client_packet, RejectionReason } = this.packet;
+
+    if (type === client_packet.info) {
+      client.version = pkt.version;
+      return;
+    }
+    if (client.version == null) {
+      throw Error('client info expected');
+    }
+
+    switch (type) {
+    case client_packet.game_list:
+      this.sendGameList(client);
+      break;
+    case client_packet.create_game:
+      this.createGame(client, pkt);
+      break;
+    case client_packet.join_game:
+      this.joinGame(client, pkt).catch(error => {
+        logger.error('Error joining game:', error);
+        client.joining = false;
+        this.reject(client, pkt.cookie, RejectionReason.JOIN_NOT_VERIFIED);
+      });
+      break;
+    case client_packet.leave_game:
+      if (client.game) {
+        this.drop(client.game, client.id, LEAVE_GAME);
+      }
+      break;
+    case client_packet.drop_player:
+      this.dropPlayer(client, pkt);
+      break;
+    case client_packet.message:
+      this.relayMessage(client, pkt);
+      break;
+    case client_packet.turn:
+      this.relayTurn(client, pkt);
+      break;
+    default:
+      throw Error(`unexpected packet ${type.code}`);
+    }
+  }
+
+  sendGameList(client) {
+    const { write_packet, server_packet } = this.packet;
+    const games = [...this.games.values()].map(game => ({ type: game.difficulty, name: game.name }));
+    client.ws.send(write_packet(server_packet.game_list, { games }));
+  }
+
+  createGame(client, { cookie, name, password, difficulty }) {
+    const { RejectionReason } = this.packet;
+    if (client.game || client.joining) {
+      return this.reject(client, cookie, RejectionReason.JOIN_ALREADY_IN_GAME);
+    }
+    if (this.games.has(name)) {
+      return this.reject(client, cookie, RejectionReason.CREATE_GAME_EXISTS);
+    }
+
+    const game = {
+      name,
+      password,
+      difficulty,
+      version: client.version,
+      seed: Math.floor(Math.random() * Math.pow(2, 32)),
+      host: client.uid,
+      players: new Array(MAX_PLRS).fill(null),
+    };
+    this.games.set(name, game);
+    this.accept(client, game, cookie, 0);
+  }
+
+  async joinGame(client, { cookie, name, password }) {
+    const { RejectionReason } = this.packet;
+    const game = this.games.get(name);
+    if (client.game || client.joining) {
+      return this.reject(client, cookie, RejectionReason.JOIN_ALREADY_IN_GAME);
+    }
+    if (!game) {
+      return this.reject(client, cookie, RejectionReason.JOIN_GAME_NOT_FOUND);
+    }
+    if (client.version !== game.version) {
+      return this.reject(client, cookie, RejectionReason.JOIN_VERSION_MISMATCH);
+    }
+    if (password !== game.password) {
+      return this.reject(client, cookie, RejectionReason.JOIN_INCORRECT_PASSWORD);
+    }
+    if (game.host) {
+      if (!client.uid) {
+        return this.reject(client, cookie, RejectionReason.JOIN_SIGN_IN_REQUIRED);
+      }
+      client.joining = true;
+      const banned = await this.tickets.banned(game.host, client.uid);
+      client.joining = false;
+      if (banned) {
+        return this.reject(client, cookie, RejectionReason.JOIN_BANNED);
+      }
+      if (this.games.get(name) !== game || client.ws.readyState !== client.ws.OPEN) {
+        return this.reject(client, cookie, RejectionReason.JOIN_GAME_NOT_FOUND);
+      }
+    }
+    // Slot 0 is the host's, and the game ends when they leave
+    const index = game.players.indexOf(null, 1);
+    if (index < 0) {
+      return this.reject(client, cookie, RejectionReason.JOIN_GAME_FULL);
+    }
+    this.accept(client, game, cookie, index);
+  }
+
+  accept(client, game, cookie, index) {
+    const { write_packet, server_packet } = this.packet;
+    game.players[index] = client;
+    client.game = game;
+    client.id = index;
+    client.ws.send(write_packet(server_packet.join_accept, {
+      cookie, index, seed: game.seed, difficulty: game.difficulty
+    }));
+    this.send(game, 0xFF, write_packet(server_packet.connect, { id: index }));
+  }
+
+  reject(client, cookie, reason) {
+    const { write_packet, server_packet } = this.packet;
+    client.ws.send(write_packet(server_packet.join_reject, { cookie, reason }));
+  }
+
+  relayMessage(client, { id, payload }) {
+    const { write_packet, server_packet } = this.packet;
+    if (client.game) {
+      const mask = id === 0xFF ? ~(1 << client.id) : (1 << id);
+      this.send(client.game, mask, write_packet(server_packet.message, { id: client.id, payload }));
+    }
+  }
+
+  relayTurn(client, { turn }) {
+    const { write_packet, server_packet } = this.packet;
+    if (client.game) {
+      this.send(client.game, ~(1 << client.id), write_packet(server_packet.turn, { id: client.id, turn }));
+    }
+  }
+
+  // Only the host drops other players; anyone can drop themselves
+  dropPlayer(client, { id, reason }) {
+    if (id >= MAX_PLRS || !DROP_REASONS.includes(reason)) {
+      throw Error(`invalid drop_player ${id} ${reason}`);
+    }
+    if (!client.game || (client.id !== 0 && id !== client.id)) {
+      return;
+    }
+    this.drop(client.game, id, reason);
+  }
+
+  // Takes a player the host kicked from the host's room out of their games
+  kick(hostId, uid) {
+    for (const game of [...this.games.values()]) {
+      if (game.host !== hostId) {
+        continue;
+      }
+      game.players.forEach((client, id) => {
+        if (client && id !== 0 && client.uid === uid) {
+          this.drop(game, id, CONNECTION_LOST);
+        }
+      });
+    }
+  }
+
+  // The dropped player is told as well, but keeps their connection so they
+  // can go back to the game list. Games end with their host, who drops
+  // everyone else first, as in peer-to-peer games (see src/api/webrtc.js).
+  drop(game, id, reason) {
+    const { write_packet, server_packet } = this.packet;
+    const client = game.players[id];
+    if (!client) {
+      return;
+    }
+    if (id === 0) {
+      for (let i = 1; i < MAX_PLRS; ++i) {
+        this.drop(game, i, CONNECTION_LOST);
+      }
+    }
+    this.send(game, 0xFF, write_packet(server_packet.disconnect, { id, reason }));
+    game.players[id] = null;
+    client.game = null;
+    client.id = null;
+    if (id === 0) {
+      this.games.delete(game.name);
+    }
+  }
+
+  send(game, mask, pkt) {
+    game.players.forEach((client, i) => {
+      if (client && (mask & (1 << i)) && client.ws.readyState === client.ws.OPEN) {
+        client.ws.send(pkt);
+      }
+    });
+  }
+}
+
+// packet.js is shared with the client, which builds it as an ES module
+async function createGameServer(server, tickets, path = '/websocket') {
+  const packet = await import('../../src/api/packet.js');
+  return new GameServer(packet, tickets).attach(server, path);
+}
+
+module.exports = { GameServer, createGameServer };
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { hashPassword } = require('../auth/passwords');
+const { EDITIONS, CLASSES } = require('../saves/leaderboard');
+const { MAX_LEVEL } = require('../saves/parse');
+const { MAX_PLAYERS, roomListing, roomPlayers, userChannel } = require('./rooms');
+const { logger } = require('../observability/logger');
+
+const env = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Players of one match are at most this many levels apart
+const LEVEL_RANGE = env('MATCH_LEVEL_RANGE', 10);
+// A full group is matched right away; smaller ones once their oldest player
+// has waited this long
+const MAX_WAIT_MS = env('MATCH_WAIT_MS', 30 * 1000);
+const MATCH_INTERVAL_MS = env('MATCH_INTERVAL_MS', 2 * 1000);
+const MIN_GROUP = 2;
+
+// Normal, Nightmare and Hell, as the game numbers them
+const DIFFICULTIES = [0, 1, 2];
+
+class MatchmakingError extends Error {}
+
+function reply(ack) {
+  return typeof ack === 'function' ? ack : () => {};
+}
+
+function parseEntry(data) {
+  const { edition, difficulty, characterClass, level, playerName } = data || {};
+  if (!EDITIONS.includes(edition)) {
+    throw new MatchmakingError(`edition must be one of ${EDITIONS.join(', ')}`);
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new MatchmakingError(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!CLASSES.includes(characterClass)) {
+    throw new MatchmakingError(`characterClass must be one of ${CLASSES.join(', ')}`);
+  }
+  if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) {
+    throw new MatchmakingError(`level must be between 1 and ${MAX_LEVEL}`);
+  }
+  if (playerName != null && (typeof playerName !== 'string' || !playerName.trim() || playerName.length > 32)) {
+    throw new MatchmakingError('playerName must be 1 to 32 characters');
+  }
+  return { edition, difficulty, characterClass, level, playerName: playerName && playerName.trim() };
+}
+
+// Queue of players looking for a game. Players with the same edition and
+// difficulty and close enough in level are grouped, oldest first, and get a
+// private room created for them. Each player is then sent `match-found` with
+// the room and the name and password of the game to create (the host, who
+// waited longest) or join (everyone else), or `matchmaking-error` if the room
+// could not be created; they are out of the queue either way.
+class Matchmaker {
+  constructor(storage, io) {
+    this.storage = storage;
+    this.io = io;
+    // userId -> { userId, socketId, edition, difficulty, characterClass, level, playerName, queuedAt }
+    this.queue = new Map();
+    this.matching = null;
+    this.again = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.match(), MATCH_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  register(socket) {
+    const { uid } = socket.data.user;
+    socket.on('matchmaking-join', (data, ack) => this.join(socket, uid, data, reply(ack)));
+    socket.on('matchmaking-leave', (ack) => {
+      this.leave(uid);
+      reply(ack)({ ok: true });
+    });
+    socket.on('disconnect', () => {
+      const entry = this.queue.get(uid);
+      if (entry && entry.socketId === socket.id) {
+        this.leave(uid);
+      }
+    });
+  }
+
+  // Joining again replaces the previous criteria
+  join(socket, userId, data, ack) {
+    let entry;
+    try {
+      entry = parseEntry(data);
+    } catch (error) {
+      if (error instanceof MatchmakingError) {
+        return ack({ error: error.message });
+      }
+      throw error;
+    }
+    this.queue.set(userId, { ...entry, userId, socketId: socket.id, queuedAt: Date.now() });
+    ack({ ok: true, waiting: this.waiting(entry) });
+    this.match();
+  }
+
+  leave(userId) {
+    this.queue.delete(userId);
+  }
+
+  // Players queued for the same edition and difficulty
+  waiting({ edition, difficulty }) {
+    let count = 0;
+    for (const entry of this.queue.values()) {
+      if (entry.edition === edition && entry.difficulty === difficulty) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Runs one pass at a time; a pass requested meanwhile runs afterwards
+  match() {
+    if (this.matching) {
+      this.again = true;
+      return this.matching;
+    }
+    this.matching = this.matchGroups()
+      .catch(error => logger.error('Error matching players:', error))
+      .finally(() => {
+        this.matching = null;
+        if (this.again) {
+          this.again = false;
+          this.match();
+        }
+      });
+    return this.matching;
+  }
+
+  async matchGroups() {
+    for (const group of this.groups(Date.now())) {
+      for (const entry of group) {
+        this.queue.delete(entry.userId);
+      }
+      try {
+        await this.createMatch(group);
+      } catch (error) {
+        logger.error('Error creating a match:', error);
+        for (const entry of group) {
+          this.io.to(userChannel(entry.userId)).emit('matchmaking-error', { error: 'Could not create a room for the match' });
+        }
+      }
+    }
+  }
+
+  // Groups are built around the player that waited longest, adding the next
+  // oldest players as long as the level spread stays within LEVEL_RANGE
+  groups(now) {
+    const entries = [...this.queue.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+    const taken = new Set();
+    const groups = [];
+
+    for (const anchor of entries) {
+      if (taken.has(anchor.userId)) {
+        continue;
+      }
+      const group = [anchor];
+      let minLevel = anchor.level;
+      let maxLevel = anchor.level;
+      for (const entry of entries) {
+        if (group.length >= MAX_PLAYERS) {
+          break;
+        }
+        if (entry === anchor || taken.has(entry.userId) ||
+            entry.edition !== anchor.edition || entry.difficulty !== anchor.difficulty) {
+          continue;
+        }
+        const low = Math.min(minLevel, entry.level);
+        const high = Math.max(maxLevel, entry.level);
+        if (high - low <= LEVEL_RANGE) {
+          group.push(entry);
+          minLevel = low;
+          maxLevel = high;
+        }
+      }
+
+      const full = group.length >= MAX_PLAYERS;
+      const waitedEnough = group.length >= MIN_GROUP && now - anchor.queuedAt >= MAX_WAIT_MS;
+      if (full || waitedEnough) {
+        group.forEach(entry => taken.add(entry.userId));
+        groups.push(group);
+      }
+    }
+    return groups;
+  }
+
+  async createMatch(group) {
+    const [host] = group;
+    const users = await Promise.all(group.map(entry => this.storage.users.get(entry.userId)));
+    const displayName = i => (users[i] && users[i].displayName) || null;
+
+    // The game itself is password protected, and so is the room, so only
+    // the matched players can get in
+    const name = `match-${crypto.randomBytes(3).toString('hex')}`;
+    const password = crypto.randomBytes(6).toString('hex');
+    const now = new Date();
+
+    const maxPlayers = group.length;
+    const room = await this.storage.rooms.create({
+      name,
+      host: host.userId,
+      hostName: displayName(0),
+      maxPlayers,
+      isPublic: false,
+      passwordHash: await hashPassword(password),
+      ...roomPlayers({ maxPlayers }, group.map((entry, i) => ({
+        userId: entry.userId,
+        playerName: entry.playerName || displayName(i) || 'Player',
+        characterClass: entry.characterClass,
+        level: entry.level,
+        joinedAt: now,
+      }))),
+      status: 'waiting',
+      matchmaking: true,
+      edition: host.edition,
+      difficulty: host.difficulty,
+      createdAt: now,
+    });
+
+    logger.info(`Matched ${group.length} players into room ${room.id}`);
+    const info = roomListing(room);
+    for (const entry of group) {
+      this.io.to(userChannel(entry.userId)).emit('match-found', {
+        room: info,
+        game: { name, password, difficulty: host.difficulty },
+        isHost: entry.userId === host.userId,
+      });
+    }
+    return room;
+  }
+}
+
+module.exports = { Matchmaker, MatchmakingError, DIFFICULTIES };
@@ -0,0 +1,76 @@
+const { ROOM_WRITE_ATTEMPTS, removePlayer, userChannel } = require('./rooms');
+
+class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Lets the host of a room remove players. A kicked player may join again, a
+// banned one is kept out by joinRejection (see rooms.js). Banning works for
+// players that already left, too.
+class RoomModeration {
+  constructor(storage, io, presence, userPresence, gameServer) {
+    this.storage = storage;
+    this.io = io;
+    this.presence = presence;
+    this.userPresence = userPresence;
+    this.gameServer = gameServer;
+  }
+
+  async kick(hostId, roomId, userId, { ban = false } = {}) {
+    const room = roomId && await this.storage.rooms.get(String(roomId));
+    if (!room) {
+      throw new ModerationError('Room not found', 404);
+    }
+    if (room.host !== hostId) {
+      throw new ModerationError('Only the host can remove players', 403);
+    }
+    if (userId === hostId) {
+      throw new ModerationError('You cannot remove yourself');
+    }
+    const inRoom = room.players.some(p => p.userId === userId);
+    if (!inRoom && !ban) {
+      throw new ModerationError('Player not in room', 404);
+    }
+
+    if (ban) {
+      await this.ban(room, userId);
+    }
+    if (inRoom) {
+      // Emits player-left to the room and takes the player's sockets out of it
+      await removePlayer(this.storage, this.io, room.id, userId);
+      this.presence.forget(room.id, userId);
+      this.userPresence.changed(userId);
+
+      this.io.to(userChannel(userId)).emit('kicked', { roomId: room.id, banned: ban });
+      // The host's client drops the player from a peer-to-peer game session
+      // as well; the game server does it for games hosted there
+      this.io.to(room.id).emit('player-kicked', { roomId: room.id, userId, banned: ban });
+      this.gameServer.kick(hostId, userId);
+    }
+  }
+
+  // Bans bump the room's version like a change of players (see roomPlayers in
+  // rooms.js), so joins that checked the bans before it are checked again
+  async ban(room, userId) {
+    for (let attempt = 0; attempt < ROOM_WRITE_ATTEMPTS; ++attempt) {
+      const bannedUsers = (room.bannedUsers || []).filter(id => id !== userId);
+      const banned = await this.storage.rooms.updateIf(room.id, { version: room.version }, {
+        bannedUsers: [...bannedUsers, userId],
+        version: (room.version || 0) + 1,
+      });
+      if (banned) {
+        return;
+      }
+      room = await this.storage.rooms.get(room.id);
+      if (!room) {
+        throw new ModerationError('Room not found', 404);
+      }
+    }
+    throw new Error(`Room ${room.id} kept changing while banning a player`);
+  }
+}
+
+module.exports = { RoomModeration, ModerationError };
@@ -0,0 +1,146 @@
+const { removePlayer, closeRoom } = require('./rooms');
+const { logger } = require('../observability/logger');
+
+const env = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// How long a player may be disconnected before losing their seat
+const GRACE_MS = env('ROOM_GRACE_MS', 30 * 1000);
+// A connected player that stops sending heartbeats is treated as gone after this
+const HEARTBEAT_TIMEOUT_MS = env('ROOM_HEARTBEAT_TIMEOUT_MS', 90 * 1000);
+// Rooms nobody is connected to (e.g. after a restart) are closed after this
+const ROOM_IDLE_MS = env('ROOM_IDLE_MS', 10 * 60 * 1000);
+const REAP_INTERVAL_MS = env('ROOM_REAP_INTERVAL_MS', 60 * 1000);
+// lastActivity is written to the room at most this often
+const ACTIVITY_WRITE_MS = 60 * 1000;
+
+// Tracks which players of each room are connected over Socket.IO, and
+// periodically removes players that went away and rooms that were abandoned.
+class RoomPresence {
+  constructor(storage, io) {
+    this.storage = storage;
+    this.io = io;
+    // `${roomId}/${userId}` -> { roomId, userId, sockets, lastSeen }
+    this.members = new Map();
+    this.activityWritten = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.reap().catch(error => logger.error('Error reaping rooms:', error));
+      }, REAP_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  join(socket, roomId, userId) {
+    const key = `${roomId}/${userId}`;
+    let member = this.members.get(key);
+    if (!member) {
+      member = { roomId, userId, sockets: new Set(), lastSeen: Date.now() };
+      this.members.set(key, member);
+    }
+    member.sockets.add(socket.id);
+    member.lastSeen = Date.now();
+
+    socket.data.memberships = socket.data.memberships || new Set();
+    socket.data.memberships.add(key);
+    this.touchRoom(roomId);
+  }
+
+  heartbeat(socket) {
+    for (const key of socket.data.memberships || []) {
+      const member = this.members.get(key);
+      if (member) {
+        member.lastSeen = Date.now();
+        this.touchRoom(member.roomId);
+      }
+    }
+  }
+
+  leave(socket, roomId) {
+    for (const key of socket.data.memberships || []) {
+      const member = this.members.get(key);
+      if (member && member.roomId === roomId) {
+        this.detach(socket, key, member);
+      }
+    }
+  }
+
+  // The player keeps their seat for the grace period, in case they reconnect
+  disconnect(socket) {
+    for (const key of socket.data.memberships || []) {
+      const member = this.members.get(key);
+      if (member) {
+        this.detach(socket, key, member);
+      }
+    }
+  }
+
+  detach(socket, key, member) {
+    member.sockets.delete(socket.id);
+    member.lastSeen = Date.now();
+    socket.data.memberships.delete(key);
+  }
+
+  // Called when a player leaves through the REST API
+  forget(roomId, userId) {
+    this.members.delete(`${roomId}/${userId}`);
+  }
+
+  // The room the user is currently connected to, if any
+  roomOf(userId) {
+    for (const member of this.members.values()) {
+      if (member.userId === userId && member.sockets.size) {
+        return member.roomId;
+      }
+    }
+    return null;
+  }
+
+  touchRoom(roomId) {
+    const now = Date.now();
+    if (now - (this.activityWritten.get(roomId) || 0) < ACTIVITY_WRITE_MS) {
+      return;
+    }
+    this.activityWritten.set(roomId, now);
+    this.storage.rooms.update(roomId, { lastActivity: new Date(now) }).catch(() => {
+      // The room was deleted in the meantime
+      this.activityWritten.delete(roomId);
+    });
+  }
+
+  async reap() {
+    const now = Date.now();
+
+    for (const [key, member] of this.members) {
+      const disconnected = !member.sockets.size && now - member.lastSeen > GRACE_MS;
+      const silent = now - member.lastSeen > HEARTBEAT_TIMEOUT_MS;
+      if (disconnected || silent) {
+        this.members.delete(key);
+        await removePlayer(this.storage, this.io, member.roomId, member.userId);
+      }
+    }
+
+    const connected = new Set([...this.members.values()].map(member => member.roomId));
+    for (const room of await this.storage.rooms.find({})) {
+      const lastActivity = room.lastActivity || room.createdAt;
+      const idle = !connected.has(room.id) && now - new Date(lastActivity).getTime() > ROOM_IDLE_MS;
+      if (!room.players.length || idle) {
+        for (const player of room.players) {
+          this.members.delete(`${room.id}/${player.userId}`);
+        }
+        this.activityWritten.delete(room.id);
+        await closeRoom(this.storage, this.io, room.id);
+      }
+    }
+  }
+}
+
+module.exports = RoomPresence;
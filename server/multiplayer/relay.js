@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Game frames are a few hundred bytes; batches stay well below this
+const MAX_FRAME_SIZE = 256 * 1024;
+
+// Tunnels the game's binary packets between a hosting client and players that
+// could not reach it peer-to-peer. The host keeps running the game logic
+// (webrtc_server in src/api/webrtc.js); the server only forwards frames over
+// links, each link being one player connected to one host.
+class GameRelay {
+  constructor(io) {
+    this.io = io;
+    // game name -> host socket id
+    this.hosts = new Map();
+    // link id -> { name, host, client } socket ids
+    this.links = new Map();
+  }
+
+  register(socket) {
+    socket.on('relay-host', (name, ack) => this.host(socket, name, reply(ack)));
+    socket.on('relay-unhost', (name) => this.unhost(socket, name));
+    socket.on('relay-connect', (name, ack) => this.connect(socket, name, reply(ack)));
+    socket.on('relay-data', (linkId, data) => this.forward(socket, linkId, data));
+    socket.on('relay-close', (linkId) => this.close(socket, linkId));
+    socket.on('disconnect', () => this.disconnect(socket));
+  }
+
+  host(socket, name, ack) {
+    const current = this.hosts.get(name);
+    if (typeof name !== 'string' || (current && current !== socket.id)) {
+      return ack({ error: 'Game already exists' });
+    }
+    this.hosts.set(name, socket.id);
+    ack({ ok: true });
+  }
+
+  unhost(socket, name) {
+    if (this.hosts.get(name) === socket.id) {
+      this.hosts.delete(name);
+    }
+  }
+
+  connect(socket, name, ack) {
+    const host = this.hosts.get(name);
+    if (!host) {
+      return ack({ error: 'Game not found' });
+    }
+    const linkId = crypto.randomBytes(8).toString('hex');
+    this.links.set(linkId, { name, host, client: socket.id });
+    // The host learns who connects, e.g. to drop players kicked from the room
+    this.io.to(host).emit('relay-connection', linkId, socket.data.user.uid);
+    ack({ linkId });
+  }
+
+  // Frames go to the other end of the link, and only from one of its ends
+  forward(socket, linkId, data) {
+    const link = this.links.get(linkId);
+    if (!link || !Buffer.isBuffer(data) || data.length > MAX_FRAME_SIZE) {
+      return;
+    }
+    const peer = peerOf(link, socket.id);
+    if (peer) {
+      this.io.to(peer).emit('relay-data', linkId, data);
+    }
+  }
+
+  close(socket, linkId) {
+    const link = this.links.get(linkId);
+    const peer = link && peerOf(link, socket.id);
+    if (peer) {
+      this.links.delete(linkId);
+      this.io.to(peer).emit('relay-close', linkId);
+    }
+  }
+
+  disconnect(socket) {
+    for (const [name, host] of this.hosts) {
+      if (host === socket.id) {
+        this.hosts.delete(name);
+      }
+    }
+    for (const linkId of [...this.links.keys()]) {
+      this.close(socket, linkId);
+    }
+  }
+}
+
+function peerOf(link, socketId) {
+  if (socketId === link.host) {
+    return link.client;
+  }
+  if (socketId === link.client) {
+    return link.host;
+  }
+  return null;
+}
+
+function reply(ack) {
+  return typeof ack === 'function' ? ack : () => {};
+}
+
+module.exports = GameRelay;
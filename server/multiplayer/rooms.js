@@ -0,0 +1,232 @@
+const { verifyPassword } = require('../auth/passwords');
+const { deleteMessages } = require('./chat');
+const { findPage } = require('../storage/pagination');
+const { MAX_LEVEL } = require('../saves/parse');
+
+// The game supports at most four players
+const MAX_PLAYERS = 4;
+
+// Why a player cannot join a room. The reasons follow RejectionReason in
+// src/api/packet.js, with a few more for the room settings.
+const JoinRejection = {
+  GAME_NOT_FOUND: { status: 404, reason: 'JOIN_GAME_NOT_FOUND', error: 'Room not found' },
+  BANNED: { status: 403, reason: 'JOIN_BANNED', error: 'You are banned from this room' },
+  NOT_ACCEPTING: { status: 400, reason: 'JOIN_NOT_ACCEPTING', error: 'Room is not accepting players' },
+  ALREADY_IN_GAME: { status: 400, reason: 'JOIN_ALREADY_IN_GAME', error: 'Already in room' },
+  GAME_FULL: { status: 400, reason: 'JOIN_GAME_FULL', error: 'Room is full' },
+  INCORRECT_PASSWORD: { status: 401, reason: 'JOIN_INCORRECT_PASSWORD', error: 'Invalid room password' },
+  VERSION_MISMATCH: { status: 400, reason: 'JOIN_VERSION_MISMATCH', error: 'Room is for another game version' },
+  EDITION_MISMATCH: { status: 400, reason: 'JOIN_EDITION_MISMATCH', error: 'Room is for another edition' },
+  LEVEL_TOO_LOW: { status: 400, reason: 'JOIN_LEVEL_TOO_LOW', error: 'Character level is below the room minimum' },
+  LEVEL_TOO_HIGH: { status: 400, reason: 'JOIN_LEVEL_TOO_HIGH', error: 'Character level is above the room maximum' },
+};
+
+// Game settings of a new room; without them anyone can join
+function roomSettings({ difficulty, edition, minLevel, maxLevel, gameVersion }) {
+  return {
+    difficulty: difficulty || 0,
+    edition: edition || 'retail',
+    minLevel: minLevel || 1,
+    maxLevel: maxLevel || MAX_LEVEL,
+    gameVersion: gameVersion || null,
+  };
+}
+
+// Returns the JoinRejection for a player that cannot join, or null. Rooms
+// created before they had settings accept everyone, players that do not say
+// their edition are taken to play the retail one.
+async function joinRejection(room, userId, { password, level, edition = 'retail', gameVersion }) {
+  if (!room) {
+    return JoinRejection.GAME_NOT_FOUND;
+  }
+  if ((room.bannedUsers || []).includes(userId)) {
+    return JoinRejection.BANNED;
+  }
+  if (room.status !== 'waiting') {
+    return JoinRejection.NOT_ACCEPTING;
+  }
+  if (room.players.some(p => p.userId === userId)) {
+    return JoinRejection.ALREADY_IN_GAME;
+  }
+  if (room.players.length >= room.maxPlayers) {
+    return JoinRejection.GAME_FULL;
+  }
+  if (!await checkRoomPassword(room, password)) {
+    return JoinRejection.INCORRECT_PASSWORD;
+  }
+  if (room.gameVersion && gameVersion !== room.gameVersion) {
+    return JoinRejection.VERSION_MISMATCH;
+  }
+  if (room.edition && edition !== room.edition) {
+    return JoinRejection.EDITION_MISMATCH;
+  }
+  if (level < (room.minLevel || 1)) {
+    return JoinRejection.LEVEL_TOO_LOW;
+  }
+  if (level > (room.maxLevel || MAX_LEVEL)) {
+    return JoinRejection.LEVEL_TOO_HIGH;
+  }
+  return null;
+}
+
+// Room and player fields sent to clients. Anything else on a room (password,
+// bans, mutes) stays on the server; clients only learn whether a password is
+// needed.
+const ROOM_FIELDS = [
+  'id', 'name', 'maxPlayers', 'isPublic', 'status', 'matchmaking',
+  'difficulty', 'edition', 'minLevel', 'maxLevel', 'gameVersion', 'createdAt', 'lastActivity',
+];
+const PLAYER_FIELDS = ['playerName', 'characterClass', 'level', 'joinedAt'];
+
+function pick(doc, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined) {
+      picked[field] = doc[field];
+    }
+  }
+  return picked;
+}
+
+// Rooms as their players see them, with everyone's user id. Every room event
+// and reply names the host the same way, by display name; the host's display
+// name is stored on the room (hostName) so this needs no user lookups.
+function roomInfo(room) {
+  return {
+    ...pick(room, ROOM_FIELDS),
+    host: { username: room.hostName || 'Unknown' },
+    hasPassword: !!(room.passwordHash || room.password),
+    players: room.players.map(player => pick(player, ['userId', ...PLAYER_FIELDS])),
+  };
+}
+
+// Rooms as shown in the lobby, without user ids
+function roomListing(room) {
+  return {
+    ...roomInfo(room),
+    players: room.players.map(player => pick(player, PLAYER_FIELDS)),
+  };
+}
+
+// Rooms keep their free slots next to the players, so lists can sort by them.
+// Every change of players bumps the room's version, so concurrent changes
+// can be written conditionally (storage updateIf) instead of overwriting
+// each other.
+function roomPlayers(room, players) {
+  return { players, freeSlots: room.maxPlayers - players.length, version: (room.version || 0) + 1 };
+}
+
+// Times a change of players is tried again on a room that changed meanwhile
+const ROOM_WRITE_ATTEMPTS = 3;
+
+// Sorts are done by the storage query, on these fields. Names sort as stored,
+// so case-sensitively.
+const ROOM_SORTS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  freeSlots: 'freeSlots',
+};
+
+const DEFAULT_ORDER = { name: 'asc' };
+
+// One page of the public rooms waiting for players
+async function listRooms(storage, { hasPassword, minFreeSlots, sort = 'createdAt', order, cursor, limit }) {
+  const matches = room =>
+    (hasPassword == null || !!(room.passwordHash || room.password) === hasPassword) &&
+    (minFreeSlots == null || room.maxPlayers - room.players.length >= minFreeSlots);
+  const page = await findPage(storage.rooms, { status: 'waiting', isPublic: true }, ROOM_SORTS,
+    { sort, order: order || DEFAULT_ORDER[sort] || 'desc', cursor, limit }, matches);
+  return { rooms: page.items.map(roomListing), nextCursor: page.nextCursor };
+}
+
+// Rooms created before passwords were hashed still hold them in plain text
+async function checkRoomPassword(room, password) {
+  if (room.passwordHash) {
+    return verifyPassword(password, room.passwordHash);
+  }
+  return !room.password || room.password === password;
+}
+
+// Socket.IO channel holding every socket of a user
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+// Removes a player from a room. The host role passes to the next player, and
+// the room is deleted once nobody is left in it. Returns the updated room, or
+// null if the room no longer exists.
+async function removePlayer(storage, io, roomId, userId) {
+  for (let attempt = 0; attempt < ROOM_WRITE_ATTEMPTS; ++attempt) {
+    const room = await storage.rooms.get(roomId);
+    if (!room) {
+      return null;
+    }
+
+    const players = room.players.filter(p => p.userId !== userId);
+    if (players.length === room.players.length) {
+      return room;
+    }
+
+    if (players.length === 0) {
+      await closeRoom(storage, io, roomId);
+      return null;
+    }
+
+    const update = roomPlayers(room, players);
+    if (room.host === userId) {
+      const newHost = await storage.users.get(players[0].userId);
+      update.host = players[0].userId;
+      update.hostName = (newHost && newHost.displayName) || null;
+    }
+    const updatedRoom = await storage.rooms.updateIf(roomId, { version: room.version }, update);
+    if (updatedRoom) {
+      io.in(userChannel(userId)).socketsLeave(roomId);
+      io.to(roomId).emit('player-left', roomInfo(updatedRoom));
+      return updatedRoom;
+    }
+  }
+  throw new Error(`Room ${roomId} kept changing while removing a player`);
+}
+
+// On shutdown, rooms are kept but marked as interrupted. lastActivity is
+// reset so they survive the restart for ROOM_IDLE_MS, which gives their
+// players time to reconnect.
+async function interruptRooms(storage) {
+  const now = new Date();
+  const rooms = (await storage.rooms.find({})).filter(room => room.status !== 'interrupted');
+  for (const room of rooms) {
+    await storage.rooms.update(room.id, {
+      status: 'interrupted',
+      resumeStatus: room.status,
+      interruptedAt: now,
+      lastActivity: now,
+    });
+  }
+  return rooms.length;
+}
+
+// The first player to come back after a restart reopens the room
+async function resumeRoom(storage, io, room) {
+  if (room.status !== 'interrupted') {
+    return room;
+  }
+  const resumed = await storage.rooms.update(room.id, {
+    status: room.resumeStatus || 'waiting',
+    resumeStatus: null,
+    interruptedAt: null,
+  });
+  io.to(room.id).emit('room-resumed', roomInfo(resumed));
+  return resumed;
+}
+
+async function closeRoom(storage, io, roomId) {
+  await storage.rooms.delete(roomId);
+  await deleteMessages(storage, roomId);
+  io.emit('room-closed', roomId);
+  io.in(roomId).socketsLeave(roomId);
+}
+
+module.exports = {
+  MAX_PLAYERS, ROOM_SORTS, ROOM_WRITE_ATTEMPTS, JoinRejection, roomInfo, roomListing, roomPlayers, listRooms,
+  roomSettings, joinRejection, checkRoomPassword, userChannel, removePlayer, interruptRooms, resumeRoom, closeRoom,
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const jwt = require('../auth/jwt');
+const { logger } = require('../observability/logger');
+
+// Seconds a ticket is good for; players present it right after asking for it
+const TICKET_TTL = 60;
+
+// code tells game hosts why to turn the player away: INVALID_TICKET or BANNED
+class TicketError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Join tickets prove to a game host who a peer-to-peer player is. PeerJS lets
+// a player claim any identity, so players ask the server for a ticket, hand it
+// to the host with their connection, and the host asks the server whose it is
+// before letting them in. Players coming through the relay are identified by
+// the server already (see relay.js).
+//
+// Tickets are signed with JOIN_TICKET_SECRET, or a key of this process when it
+// is not set; servers sharing players need the same secret.
+class JoinTickets {
+  constructor(storage, secret = process.env.JOIN_TICKET_SECRET || crypto.randomBytes(32)) {
+    this.storage = storage;
+    this.secret = secret;
+  }
+
+  register(socket) {
+    const { uid } = socket.data.user;
+    socket.on('join-ticket', (ack) => reply(ack)({ ticket: this.issue(uid) }));
+    socket.on('verify-join-ticket', (ticket, ack) => {
+      this.verify(uid, ticket).then(reply(ack), error => {
+        if (!(error instanceof TicketError)) {
+          logger.error('Error verifying join ticket:', error);
+        }
+        reply(ack)(error instanceof TicketError
+          ? { error: error.message, code: error.code }
+          : { error: 'Internal server error' });
+      });
+    });
+  }
+
+  issue(uid) {
+    return jwt.sign({ uid, typ: 'join' }, this.secret, TICKET_TTL);
+  }
+
+  // Resolves to the ticket holder as { uid }. Players banned from a room of
+  // the host are refused, so they cannot come back through the game.
+  async verify(hostId, ticket) {
+    const holder = this.holder(ticket);
+    if (await this.banned(hostId, holder.uid)) {
+      throw new TicketError('Player is banned from your room', 'BANNED');
+    }
+    return holder;
+  }
+
+  // The ticket holder as { uid }, whoever they play with
+  holder(ticket) {
+    let claims;
+    try {
+      claims = jwt.verify(ticket, this.secret);
+    } catch (error) {
+      throw new TicketError('Invalid or expired ticket', 'INVALID_TICKET');
+    }
+    if (claims.typ !== 'join' || typeof claims.uid !== 'string') {
+      throw new TicketError('Invalid or expired ticket', 'INVALID_TICKET');
+    }
+    return { uid: claims.uid };
+  }
+
+  async banned(hostId, uid) {
+    const rooms = await this.storage.rooms.find({ host: hostId });
+    return rooms.some(room => (room.bannedUsers || []).includes(uid));
+  }
+}
+
+function reply(ack) {
+  return typeof ack === 'function' ? ack : () => {};
+}
+
+module.exports = { JoinTickets, TicketError };
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack, ...(error.code && { code: error.code }) };
+}
+
+// Logs are written as one JSON object per line. Arguments after the message
+// are merged in: errors under `error`, plain objects as fields, anything else
+// is collected under `args`.
+function write(level, context, message, args) {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: String(message).replace(/:$/, ''),
+    ...(typeof context === 'function' ? context() : context),
+  };
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      entry.error = serializeError(arg);
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(entry, arg);
+    } else {
+      (entry.args = entry.args || []).push(arg);
+    }
+  }
+  const line = JSON.stringify(entry) + '\n';
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+// `context` holds fields added to every entry; it may be a function so that
+// fields known only later (such as the uid of a request) are picked up.
+function createLogger(context = {}) {
+  return {
+    debug: (message, ...args) => write('debug', context, message, args),
+    info: (message, ...args) => write('info', context, message, args),
+    warn: (message, ...args) => write('warn', context, message, args),
+    error: (message, ...args) => write('error', context, message, args),
+    child: fields => createLogger(() => ({
+      ...(typeof context === 'function' ? context() : context),
+      ...(typeof fields === 'function' ? fields() : fields),
+    })),
+  };
+}
+
+const logger = createLogger();
+
+// Gives every request an id (taken from X-Request-Id when a proxy set one)
+// and a `req.log` tagged with it, and logs each response with its latency.
+function requestLogger(req, res, next) {
+  const header = req.get('X-Request-Id');
+  req.id = header && /^[\w-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+  req.log = logger.child(() => ({ requestId: req.id, ...(req.user && { uid: req.user.uid }) }));
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    req.log.info('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+    });
+  });
+  next();
+}
+
+module.exports = { logger, requestLogger };
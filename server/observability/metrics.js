@@ -0,0 +1,77 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+const saveUploadBytes = new client.Histogram({
+  name: 'diablo_save_upload_bytes',
+  help: 'Size of uploaded save files',
+  buckets: client.exponentialBuckets(1024, 2, 10),
+  registers: [register],
+});
+
+// Routes are labelled by their pattern (/api/saves/:id), never by the actual
+// path, so ids do not blow up the number of series
+function routeOf(req) {
+  return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+function metricsMiddleware(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    end({ method: req.method, route });
+  });
+  next();
+}
+
+// Gauges that are read from the running server whenever metrics are scraped
+function trackServer({ io, storage, gameServer }) {
+  new client.Gauge({
+    name: 'diablo_socketio_connections',
+    help: 'Connected Socket.IO clients',
+    registers: [register],
+    collect() {
+      this.set(io.engine.clientsCount);
+    },
+  });
+
+  new client.Gauge({
+    name: 'diablo_rooms_open',
+    help: 'Multiplayer rooms that are open',
+    registers: [register],
+    async collect() {
+      this.set((await storage.rooms.find({})).length);
+    },
+  });
+
+  new client.Gauge({
+    name: 'diablo_players_in_game',
+    help: 'Players in multiplayer rooms, and in games on the WebSocket game server',
+    labelNames: ['transport'],
+    registers: [register],
+    async collect() {
+      const rooms = await storage.rooms.find({});
+      this.set({ transport: 'rooms' }, rooms.reduce((sum, room) => sum + room.players.length, 0));
+      this.set({ transport: 'websocket' }, gameServer.playerCount());
+    },
+  });
+}
+
+module.exports = { register, metricsMiddleware, trackServer, saveUploadBytes };
@@ -0,0 +1,931 @@
+const { version } = require('../package.json');
+const { ROLES } = require('../auth/roles');
+const { MAX_PLAYERS, ROOM_SORTS, JoinRejection } = require('../multiplayer/rooms');
+const { DIFFICULTIES } = require('../multiplayer/matchmaking');
+const { MAX_LEVEL } = require('../saves/parse');
+const { SAVE_SORTS } = require('../saves/list');
+const { MAX_PAGE_SIZE } = require('../storage/pagination');
+const { EDITIONS, CLASSES, LEADERBOARD_SIZE } = require('../saves/leaderboard');
+
+// OpenAPI description of the REST API, served at /api/openapi.json. Requests
+// and responses are validated against it (see openapi/validator.js), so a
+// route that changes what it accepts or returns has to be changed here too.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = schema => ({ 'application/json': { schema } });
+
+const response = (description, schema) => ({
+  description,
+  ...(schema && { content: json(schema) }),
+});
+
+const binary = (description, type = 'application/octet-stream') => ({
+  description,
+  content: { [type]: { schema: { type: 'string', format: 'binary' } } },
+});
+
+// Anything not listed explicitly (401, 403, 404, 429, 500...) is an Error
+const errors = {
+  400: response('Invalid request', ref('ValidationError')),
+  default: response('Error', ref('Error')),
+};
+
+const pathParam = (name, description) => ({
+  name, in: 'path', required: true, description, schema: { type: 'string', minLength: 1 },
+});
+
+const queryParam = (name, schema, description) => ({ name, in: 'query', description, schema });
+
+const body = (schema, required = true) => ({ required, content: json(schema) });
+
+const message = ref('Message');
+
+// Query parameters shared by paged lists
+const pageParams = (sorts, defaultSort) => [
+  queryParam('sort', { type: 'string', enum: Object.keys(sorts), default: defaultSort }, 'Sort field'),
+  queryParam('order', { type: 'string', enum: ['asc', 'desc'] }, 'Sort order, by default ascending for names and descending otherwise'),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }, 'Page size'),
+  queryParam('cursor', { type: 'string', minLength: 1 }, 'nextCursor of the previous page, with the same sort and order'),
+];
+
+const page = (name, items) => ({
+  type: 'object',
+  required: [name, 'nextCursor'],
+  properties: {
+    [name]: { type: 'array', items },
+    nextCursor: { type: 'string', nullable: true, description: 'Cursor of the next page, null on the last page' },
+  },
+});
+
+// Tags are assigned from the path below
+function operation(summary, { params, requestBody, responses, auth = true }) {
+  return {
+    summary,
+    ...(!auth && { security: [] }),
+    ...(params && { parameters: params }),
+    ...(requestBody && { requestBody }),
+    responses: { ...errors, ...responses },
+  };
+}
+
+const moderationBody = body({
+  type: 'object',
+  required: ['userId'],
+  properties: { userId: { type: 'string', minLength: 1 } },
+});
+
+const refreshBody = body({
+  type: 'object',
+  required: ['refreshToken'],
+  properties: { refreshToken: { type: 'string', minLength: 1 } },
+});
+
+const saveId = pathParam('id', 'Save id');
+const userId = pathParam('id', 'User id');
+
+const paths = {
+  '/api/health/live': {
+    get: operation('Liveness check', {
+      auth: false,
+      responses: { 200: response('The process is up', ref('Health')) },
+    }),
+  },
+  '/api/health/ready': {
+    get: operation('Readiness check', {
+      auth: false,
+      responses: {
+        200: response('Storage is reachable', ref('Health')),
+        503: response('Storage is unreachable', ref('Health')),
+      },
+    }),
+  },
+  '/api/health': {
+    get: operation('Legacy health check', {
+      auth: false,
+      responses: {
+        200: response('Online', ref('Health')),
+        500: response('Storage is unreachable', ref('Health')),
+      },
+    }),
+  },
+  '/api/metrics': {
+    get: operation('Prometheus metrics, protected by METRICS_TOKEN when set', {
+      responses: { 200: binary('Metrics in the Prometheus text format', 'text/plain') },
+    }),
+  },
+  '/api/openapi.json': {
+    get: operation('This document', {
+      auth: false,
+      responses: { 200: response('OpenAPI document', { type: 'object' }) },
+    }),
+  },
+
+  '/api/auth/verify-token': {
+    post: operation('Verifies the token and creates or updates the account', {
+      responses: {
+        200: response('The account', {
+          type: 'object',
+          required: ['user'],
+          properties: { user: ref('Account') },
+        }),
+      },
+    }),
+  },
+  '/api/auth/config': {
+    get: operation('Sign-in methods offered by the server', {
+      auth: false,
+      responses: { 200: response('Auth configuration', ref('AuthConfig')) },
+    }),
+  },
+  '/api/auth/register': {
+    post: operation('Creates a username/password account and signs it in (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'email', 'password'],
+        properties: {
+          username: ref('Username'),
+          email: { type: 'string', format: 'email', maxLength: 254 },
+          password: ref('Password'),
+        },
+      }),
+      responses: {
+        201: response('The new account', ref('Session')),
+        409: response('Username or email already in use', ref('Error')),
+      },
+    }),
+  },
+  '/api/auth/login': {
+    post: operation('Signs in with username and password (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', minLength: 1, maxLength: 64 },
+          password: { type: 'string', minLength: 1, maxLength: 128 },
+        },
+      }),
+      responses: {
+        200: response('Signed in', ref('Session')),
+        401: response('Invalid username or password', ref('Error')),
+      },
+    }),
+  },
+  '/api/auth/password-reset': {
+    post: operation('Emails a password reset token to the account with this email (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: body({
+        type: 'object',
+        required: ['email'],
+        properties: { email: { type: 'string', format: 'email', maxLength: 254 } },
+      }),
+      responses: {
+        200: response('Requested, whether or not the email is registered', message),
+        503: response('Email delivery is not configured', ref('Error')),
+      },
+    }),
+  },
+  '/api/auth/password-reset/confirm': {
+    post: operation('Sets a new password with a reset token and signs out every session (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: body({
+        type: 'object',
+        required: ['token', 'password'],
+        properties: { token: { type: 'string', minLength: 1 }, password: ref('Password') },
+      }),
+      responses: { 200: response('Password changed', message) },
+    }),
+  },
+  '/api/auth/verify-email': {
+    post: operation('Emails a verification token to the user (AUTH_PROVIDER=local only)', {
+      responses: {
+        200: response('Token sent by email', message),
+        409: response('Already verified', ref('Error')),
+        503: response('Email delivery is not configured', ref('Error')),
+      },
+    }),
+  },
+  '/api/auth/verify-email/confirm': {
+    post: operation('Marks the email of the account as verified (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: body({
+        type: 'object',
+        required: ['token'],
+        properties: { token: { type: 'string', minLength: 1 } },
+      }),
+      responses: { 200: response('Email verified', message) },
+    }),
+  },
+  '/api/auth/refresh': {
+    post: operation('Trades a refresh token for new tokens (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: refreshBody,
+      responses: {
+        200: response('New tokens, the refresh token can no longer be used', ref('Tokens')),
+        401: response('Invalid or expired refresh token', ref('Error')),
+      },
+    }),
+  },
+  '/api/auth/logout': {
+    post: operation('Revokes a refresh token (AUTH_PROVIDER=local only)', {
+      auth: false,
+      requestBody: refreshBody,
+      responses: {
+        200: response('Logged out', message),
+        401: response('Invalid or expired refresh token', ref('Error')),
+      },
+    }),
+  },
+
+  '/api/saves': {
+    get: operation('Lists the cloud saves of the user, a page at a time', {
+      params: [
+        queryParam('class', ref('CharacterClass'), 'Only this class'),
+        queryParam('minLevel', ref('Level'), 'Lowest level'),
+        queryParam('maxLevel', ref('Level'), 'Highest level'),
+        ...pageParams(SAVE_SORTS, 'lastSaved'),
+      ],
+      responses: { 200: response('Saves', page('saves', ref('SaveInfo'))) },
+    }),
+    post: operation('Uploads a save; the character comes from the save file itself', {
+      params: [
+        queryParam('fileName', { type: 'string', maxLength: 255 }, 'File name of a raw upload'),
+        { name: 'If-Match', in: 'header', schema: { type: 'string' }, description: 'ETag of the cloud copy the client last saw' },
+        { name: 'If-None-Match', in: 'header', schema: { type: 'string', enum: ['*'] }, description: 'The client expects no cloud copy' },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+          // Older clients send the save base64 encoded
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['saveData'],
+              properties: {
+                saveData: { type: 'string', format: 'byte', minLength: 1 },
+                fileName: { type: 'string', maxLength: 255 },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: response('Saved', {
+          type: 'object',
+          required: ['message', 'save'],
+          properties: { message: { type: 'string' }, save: ref('SaveInfo') },
+        }),
+        409: response('The cloud copy changed in the meantime', ref('SaveConflict')),
+      },
+    }),
+  },
+  '/api/saves/export': {
+    get: operation('Downloads every save as a zip archive', {
+      responses: { 200: binary('Archive of .sv files', 'application/zip') },
+    }),
+  },
+  '/api/saves/import': {
+    post: operation('Uploads a zip archive of saves', {
+      requestBody: {
+        required: true,
+        content: {
+          'application/zip': { schema: { type: 'string', format: 'binary' } },
+          'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+        },
+      },
+      responses: {
+        201: response('At least one save was imported', ref('ImportResult')),
+        400: response('Nothing could be imported', {
+          oneOf: [ref('ImportResult'), ref('ValidationError')],
+        }),
+      },
+    }),
+  },
+  '/api/saves/{id}': {
+    get: operation('Downloads a save file', {
+      params: [saveId],
+      responses: { 200: binary('The .sv file') },
+    }),
+    delete: operation('Deletes a save and its revisions', {
+      params: [saveId],
+      responses: { 200: response('Deleted', message) },
+    }),
+  },
+  '/api/saves/{id}/leaderboard': {
+    put: operation('Opts a character in or out of the leaderboard', {
+      params: [saveId],
+      requestBody: body({
+        type: 'object',
+        required: ['enabled'],
+        additionalProperties: false,
+        properties: { enabled: { type: 'boolean' } },
+      }),
+      responses: {
+        200: response('Updated save', {
+          type: 'object',
+          required: ['save'],
+          properties: { save: ref('SaveInfo') },
+        }),
+      },
+    }),
+  },
+  '/api/saves/{id}/revisions': {
+    get: operation('Lists the revisions of a save, newest first', {
+      params: [saveId],
+      responses: { 200: response('Revisions', { type: 'array', items: ref('Revision') }) },
+    }),
+  },
+  '/api/saves/{id}/revisions/{revisionId}': {
+    get: operation('Downloads a revision', {
+      params: [saveId, pathParam('revisionId', 'Revision id')],
+      responses: { 200: binary('The .sv file') },
+    }),
+  },
+  '/api/saves/{id}/revisions/{revisionId}/restore': {
+    post: operation('Makes a revision the current save', {
+      params: [
+        saveId,
+        pathParam('revisionId', 'Revision id'),
+        { name: 'If-Match', in: 'header', schema: { type: 'string' }, description: 'ETag of the cloud copy the client last saw' },
+      ],
+      responses: {
+        200: response('Restored', {
+          type: 'object',
+          required: ['message', 'save'],
+          properties: { message: { type: 'string' }, save: ref('SaveInfo') },
+        }),
+        409: response('The cloud copy changed in the meantime', ref('SaveConflict')),
+      },
+    }),
+  },
+
+  '/api/leaderboard': {
+    get: operation('Ranks opted-in characters by level', {
+      auth: false,
+      params: [
+        queryParam('class', ref('CharacterClass'), 'Only this class'),
+        queryParam('edition', ref('Edition'), 'Only this edition'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: LEADERBOARD_SIZE }, 'Most entries returned'),
+      ],
+      responses: {
+        200: response('Ranking', {
+          type: 'object',
+          required: ['class', 'edition', 'entries'],
+          properties: {
+            class: { type: 'string', nullable: true },
+            edition: { type: 'string', nullable: true },
+            entries: { type: 'array', items: ref('LeaderboardEntry') },
+          },
+        }),
+      },
+    }),
+  },
+
+  '/api/multiplayer/rooms': {
+    get: operation('Lists public rooms waiting for players, a page at a time', {
+      auth: false,
+      params: [
+        queryParam('hasPassword', { type: 'boolean' }, 'Only rooms with or without a password'),
+        queryParam('freeSlots', { type: 'integer', minimum: 1, maximum: MAX_PLAYERS }, 'Only rooms with at least this many free slots'),
+        ...pageParams(ROOM_SORTS, 'createdAt'),
+      ],
+      responses: { 200: response('Rooms', page('rooms', ref('Room'))) },
+    }),
+    post: operation('Creates a room hosted by the user', {
+      requestBody: body({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 50 },
+          maxPlayers: { type: 'integer', minimum: 2, maximum: MAX_PLAYERS },
+          isPublic: { type: 'boolean' },
+          password: { type: 'string', maxLength: 64 },
+          playerName: ref('PlayerName'),
+          characterClass: ref('CharacterClass'),
+          level: ref('Level'),
+          difficulty: ref('Difficulty'),
+          edition: ref('Edition'),
+          minLevel: ref('Level'),
+          maxLevel: ref('Level'),
+          gameVersion: ref('GameVersion'),
+        },
+      }),
+      responses: { 201: response('The new room', ref('Room')) },
+    }),
+  },
+  '/api/multiplayer/rooms/join': {
+    post: operation('Joins a room', {
+      requestBody: body({
+        type: 'object',
+        required: ['roomId', 'playerName'],
+        properties: {
+          roomId: { type: 'string', minLength: 1 },
+          playerName: ref('PlayerName'),
+          characterClass: ref('CharacterClass'),
+          level: ref('Level'),
+          password: { type: 'string', maxLength: 64 },
+          edition: ref('Edition'),
+          gameVersion: ref('GameVersion'),
+        },
+      }),
+      responses: {
+        200: response('The joined room', ref('Room')),
+        400: response('Invalid request, or the player cannot join', {
+          anyOf: [ref('ValidationError'), ref('JoinRejection')],
+        }),
+        401: response('Wrong room password', ref('JoinRejection')),
+        403: response('Banned from the room', ref('JoinRejection')),
+        404: response('No such room', ref('JoinRejection')),
+        409: response('The room kept changing while joining', ref('Error')),
+      },
+    }),
+  },
+  '/api/multiplayer/rooms/leave': {
+    post: operation('Leaves a room', {
+      requestBody: body({
+        type: 'object',
+        required: ['roomId'],
+        properties: { roomId: { type: 'string', minLength: 1 } },
+      }),
+      responses: { 200: response('Left', message) },
+    }),
+  },
+  '/api/multiplayer/rooms/{id}/kick': {
+    post: operation('Removes a player from a room the user hosts', {
+      params: [pathParam('id', 'Room id')],
+      requestBody: moderationBody,
+      responses: { 200: response('Kicked', message) },
+    }),
+  },
+  '/api/multiplayer/rooms/{id}/ban': {
+    post: operation('Removes a player from a room the user hosts and keeps them from joining again', {
+      params: [pathParam('id', 'Room id')],
+      requestBody: moderationBody,
+      responses: { 200: response('Banned', message) },
+    }),
+  },
+  '/api/multiplayer/rooms/{id}/chat': {
+    get: operation('Recent chat of a room the user is in', {
+      params: [pathParam('id', 'Room id')],
+      responses: {
+        200: response('Messages, oldest first', {
+          type: 'object',
+          required: ['messages'],
+          properties: { messages: { type: 'array', items: ref('ChatMessage') } },
+        }),
+      },
+    }),
+  },
+
+  '/api/friends': {
+    get: operation('Lists friends with their status, and pending requests', {
+      responses: {
+        200: response('Friends', {
+          type: 'object',
+          required: ['friends', 'incoming', 'outgoing'],
+          properties: {
+            friends: {
+              type: 'array',
+              items: {
+                allOf: [ref('Friend'), {
+                  type: 'object',
+                  required: ['status'],
+                  properties: { status: ref('FriendStatus') },
+                }],
+              },
+            },
+            incoming: { type: 'array', items: ref('Friend') },
+            outgoing: { type: 'array', items: ref('Friend') },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/friends/requests': {
+    post: operation('Sends a friend request, by user id or email. Requests by email get the same answer whether or not the address has an account', {
+      requestBody: body({
+        type: 'object',
+        anyOf: [{ required: ['userId'] }, { required: ['email'] }],
+        properties: {
+          userId: { type: 'string', minLength: 1 },
+          email: { type: 'string', format: 'email' },
+        },
+      }),
+      responses: {
+        201: response('Request sent, or accepted if they had asked first; the new friend comes with the acceptance', {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: ['requested', 'accepted'] },
+            user: ref('Friend'),
+          },
+        }),
+      },
+    }),
+  },
+  '/api/friends/requests/{userId}/accept': {
+    post: operation('Accepts an incoming friend request', {
+      params: [pathParam('userId', 'User who sent the request')],
+      responses: { 200: response('Accepted', message) },
+    }),
+  },
+  '/api/friends/requests/{userId}': {
+    delete: operation('Declines an incoming or cancels an outgoing request', {
+      params: [pathParam('userId', 'The other user')],
+      responses: { 200: response('Removed', message) },
+    }),
+  },
+  '/api/friends/{userId}': {
+    delete: operation('Removes a friend', {
+      params: [pathParam('userId', 'The friend')],
+      responses: { 200: response('Removed', message) },
+    }),
+  },
+
+  '/api/admin/users': {
+    get: operation('Searches users by id, email or display name', {
+      params: [
+        queryParam('q', { type: 'string' }, 'Substring to search for'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Most users returned'),
+      ],
+      responses: {
+        200: response('Users', {
+          type: 'object',
+          required: ['users'],
+          properties: { users: { type: 'array', items: ref('AdminUser') } },
+        }),
+      },
+    }),
+  },
+  '/api/admin/users/{id}': {
+    get: operation('A user and their saves', {
+      params: [userId],
+      responses: {
+        200: response('User', {
+          type: 'object',
+          required: ['user', 'saves'],
+          properties: {
+            user: ref('AdminUser'),
+            saves: { type: 'array', items: ref('SaveInfo') },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/admin/users/{id}/ban': {
+    post: operation('Bans a user and kicks them from every room', {
+      params: [userId],
+      requestBody: body({
+        type: 'object',
+        properties: { reason: { type: 'string', maxLength: 500 } },
+      }, false),
+      responses: { 200: response('Banned user', ref('AdminUserResult')) },
+    }),
+  },
+  '/api/admin/users/{id}/unban': {
+    post: operation('Lifts a ban', {
+      params: [userId],
+      responses: { 200: response('Unbanned user', ref('AdminUserResult')) },
+    }),
+  },
+  '/api/admin/users/{id}/role': {
+    put: operation('Changes the role of a user', {
+      params: [userId],
+      requestBody: body({
+        type: 'object',
+        required: ['role'],
+        additionalProperties: false,
+        properties: { role: { type: 'string', enum: ROLES } },
+      }),
+      responses: { 200: response('Updated user', ref('AdminUserResult')) },
+    }),
+  },
+  '/api/admin/rooms/{id}': {
+    delete: operation('Closes a room', {
+      params: [pathParam('id', 'Room id')],
+      responses: { 200: response('Closed', message) },
+    }),
+  },
+  '/api/admin/saves/{id}': {
+    get: operation('Any save with its owner and revisions', {
+      params: [saveId],
+      responses: {
+        200: response('Save', {
+          type: 'object',
+          required: ['save', 'revisions'],
+          properties: {
+            save: {
+              allOf: [ref('SaveInfo'), {
+                type: 'object',
+                required: ['userId'],
+                properties: {
+                  userId: { type: 'string' },
+                  fileName: { type: 'string', nullable: true },
+                },
+              }],
+            },
+            revisions: { type: 'array', items: ref('Revision') },
+          },
+        }),
+      },
+    }),
+    delete: operation('Deletes any save and its revisions', {
+      params: [saveId],
+      responses: { 200: response('Deleted', message) },
+    }),
+  },
+  '/api/admin/saves/{id}/data': {
+    get: operation('Downloads any save file', {
+      params: [saveId],
+      responses: { 200: binary('The .sv file') },
+    }),
+  },
+};
+
+for (const [path, item] of Object.entries(paths)) {
+  const tag = path.split('/')[2];
+  for (const op of Object.values(item)) {
+    op.tags = [tag];
+  }
+}
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { ...timestamp, nullable: true };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' } },
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['field', 'message'],
+          properties: {
+            field: { type: 'string', description: 'Location of the field, e.g. body.maxPlayers' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  JoinRejection: {
+    type: 'object',
+    required: ['error', 'reason'],
+    properties: {
+      error: { type: 'string' },
+      reason: {
+        type: 'string',
+        enum: Object.values(JoinRejection).map(rejection => rejection.reason),
+        description: 'Why the player cannot join, after RejectionReason of the game',
+      },
+    },
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } },
+  },
+  Health: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string' },
+      database: { type: 'string' },
+      uptime: { type: 'number' },
+      error: { type: 'string' },
+    },
+  },
+  Edition: { type: 'string', enum: EDITIONS },
+  CharacterClass: { type: 'string', enum: CLASSES },
+  Level: { type: 'integer', minimum: 1, maximum: MAX_LEVEL },
+  Difficulty: { type: 'integer', enum: DIFFICULTIES, description: 'Normal, Nightmare or Hell' },
+  GameVersion: { type: 'string', minLength: 1, maxLength: 32 },
+  PlayerName: { type: 'string', minLength: 1, maxLength: 32 },
+  Tokens: {
+    type: 'object',
+    required: ['accessToken', 'refreshToken', 'expiresIn'],
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+    },
+  },
+  AuthConfig: {
+    type: 'object',
+    required: ['provider', 'google', 'password'],
+    properties: {
+      provider: { type: 'string', description: 'AUTH_PROVIDER' },
+      google: { type: 'boolean', description: 'Google sign-in through Firebase' },
+      password: { type: 'boolean', description: 'Username/password accounts' },
+    },
+  },
+  Username: { type: 'string', pattern: '^[A-Za-z0-9_-]{3,20}$' },
+  Password: { type: 'string', minLength: 8, maxLength: 128 },
+  Session: {
+    type: 'object',
+    required: ['user', 'accessToken', 'refreshToken', 'expiresIn'],
+    properties: {
+      user: ref('Account'),
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+    },
+  },
+  Account: {
+    type: 'object',
+    required: ['uid', 'role'],
+    properties: {
+      uid: { type: 'string' },
+      username: { type: 'string', description: 'Password accounts only' },
+      email: { type: 'string', nullable: true },
+      emailVerified: { type: 'boolean', description: 'Password accounts only' },
+      displayName: { type: 'string', nullable: true },
+      photoURL: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ROLES },
+    },
+  },
+  SaveInfo: {
+    type: 'object',
+    required: ['id', 'characterName', 'characterClass', 'level', 'leaderboard', 'etag'],
+    properties: {
+      id: { type: 'string' },
+      characterName: { type: 'string' },
+      characterClass: { type: 'string' },
+      level: { type: 'integer' },
+      edition: { type: 'string', nullable: true },
+      lastSaved: timestamp,
+      leaderboard: { type: 'boolean' },
+      etag: { type: 'string' },
+    },
+  },
+  SaveConflict: {
+    type: 'object',
+    required: ['error', 'incoming'],
+    properties: {
+      error: { type: 'string' },
+      // null when the cloud copy was deleted
+      current: { anyOf: [ref('SaveInfo'), { type: 'object', nullable: true, enum: [null] }] },
+      incoming: {
+        type: 'object',
+        properties: {
+          characterName: { type: 'string' },
+          characterClass: { type: 'string' },
+          level: { type: 'integer' },
+          edition: { type: 'string', nullable: true },
+        },
+      },
+    },
+  },
+  ImportResult: {
+    type: 'object',
+    required: ['imported', 'failed'],
+    properties: {
+      imported: { type: 'array', items: ref('SaveInfo') },
+      failed: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['file', 'error'],
+          properties: { file: { type: 'string' }, error: { type: 'string' } },
+        },
+      },
+    },
+  },
+  Revision: {
+    type: 'object',
+    required: ['id', 'current'],
+    properties: {
+      id: { type: 'string' },
+      characterName: { type: 'string' },
+      characterClass: { type: 'string' },
+      level: { type: 'integer' },
+      edition: { type: 'string', nullable: true },
+      createdAt: timestamp,
+      current: { type: 'boolean' },
+    },
+  },
+  LeaderboardEntry: {
+    type: 'object',
+    required: ['rank', 'characterName', 'characterClass', 'level', 'player'],
+    properties: {
+      rank: { type: 'integer', minimum: 1 },
+      characterName: { type: 'string' },
+      characterClass: { type: 'string' },
+      level: { type: 'integer' },
+      edition: { type: 'string', nullable: true },
+      player: { type: 'string' },
+      lastSaved: timestamp,
+    },
+  },
+  Player: {
+    type: 'object',
+    required: ['playerName'],
+    properties: {
+      userId: { type: 'string', description: 'Only sent to players of the room' },
+      playerName: { type: 'string' },
+      characterClass: { type: 'string' },
+      level: { type: 'integer' },
+      joinedAt: timestamp,
+    },
+  },
+  Room: {
+    type: 'object',
+    required: ['id', 'name', 'host', 'maxPlayers', 'players', 'status', 'hasPassword'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      host: { type: 'object', required: ['username'], properties: { username: { type: 'string' } } },
+      maxPlayers: { type: 'integer' },
+      isPublic: { type: 'boolean' },
+      matchmaking: { type: 'boolean', description: 'Created by matchmaking for the matched players' },
+      hasPassword: { type: 'boolean' },
+      players: { type: 'array', items: ref('Player') },
+      difficulty: { type: 'integer' },
+      edition: { type: 'string' },
+      minLevel: { type: 'integer' },
+      maxLevel: { type: 'integer' },
+      gameVersion: { type: 'string', nullable: true, description: 'Only players of this game version can join' },
+      status: { type: 'string', description: 'waiting, or interrupted by a server restart until a player rejoins' },
+      createdAt: timestamp,
+      lastActivity: timestamp,
+    },
+  },
+  ChatMessage: {
+    type: 'object',
+    required: ['id', 'userId', 'text'],
+    properties: {
+      id: { type: 'string' },
+      roomId: { type: 'string' },
+      userId: { type: 'string' },
+      displayName: { type: 'string' },
+      text: { type: 'string' },
+      createdAt: timestamp,
+    },
+  },
+  Friend: {
+    type: 'object',
+    required: ['userId', 'displayName'],
+    properties: {
+      userId: { type: 'string' },
+      displayName: { type: 'string' },
+    },
+  },
+  FriendStatus: {
+    type: 'object',
+    required: ['state'],
+    properties: {
+      state: { type: 'string', enum: ['offline', 'menu', 'room'] },
+      roomId: { type: 'string' },
+      roomName: { type: 'string' },
+    },
+  },
+  AdminUser: {
+    type: 'object',
+    required: ['id', 'role', 'banned'],
+    properties: {
+      id: { type: 'string' },
+      email: { type: 'string', nullable: true },
+      displayName: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ROLES },
+      banned: { type: 'boolean' },
+      banReason: { type: 'string', nullable: true },
+      bannedAt: nullableTimestamp,
+      createdAt: nullableTimestamp,
+      lastLogin: nullableTimestamp,
+    },
+  },
+  AdminUserResult: {
+    type: 'object',
+    required: ['user'],
+    properties: { user: ref('AdminUser') },
+  },
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Diablo Web API',
+    version,
+    description: 'Cloud saves, leaderboards, multiplayer rooms and friends. Real-time events go over Socket.IO and are not described here.',
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Firebase ID token, or our own access token with AUTH_PROVIDER=local' },
+    },
+    schemas,
+  },
+};
@@ -0,0 +1,61 @@
+const OpenApiValidator = require('express-openapi-validator');
+const spec = require('./spec');
+
+// Responses that do not match the document fail with a 500 by default, and
+// are only logged in production: OPENAPI_VALIDATE_RESPONSES=strict|log|off
+function responseMode() {
+  const mode = process.env.OPENAPI_VALIDATE_RESPONSES;
+  if (['strict', 'log', 'off'].includes(mode)) {
+    return mode;
+  }
+  return process.env.NODE_ENV === 'production' ? 'log' : 'strict';
+}
+
+function validateResponses() {
+  switch (responseMode()) {
+  case 'off':
+    return false;
+  case 'log':
+    return {
+      onError: (error, body, req) => req.log.warn('Response does not match the API document:', error.message),
+    };
+  default:
+    return true;
+  }
+}
+
+// Checks requests against the API document, before authentication. Routes
+// that are not in the document are left alone and end in the 404 handler.
+function openApiValidator() {
+  return OpenApiValidator.middleware({
+    apiSpec: spec,
+    validateRequests: { allErrors: true },
+    validateResponses: validateResponses(),
+    validateSecurity: false,
+    ignoreUndocumented: true,
+    // Dates from storage are sent as ISO strings
+    serDes: [OpenApiValidator.serdes.dateTime.serializer],
+  });
+}
+
+// '/body/maxPlayers' -> 'body.maxPlayers'
+function fieldName(path) {
+  return path.replace(/^[./]/, '').replace(/[./]/g, '.');
+}
+
+// Errors raised by the validator carry the status and the offending fields
+function isValidationError(error) {
+  return error instanceof Error && Number.isInteger(error.status) && Array.isArray(error.errors);
+}
+
+function validationResponse(error) {
+  if (error.status !== 400) {
+    return { error: error.message };
+  }
+  return {
+    error: 'Validation failed',
+    fields: error.errors.map(item => ({ field: fieldName(item.path), message: item.message })),
+  };
+}
+
+module.exports = { spec, openApiValidator, isValidationError, validationResponse };
@@ -0,0 +1,97 @@
+const AdmZip = require('adm-zip');
+const { saveBytes } = require('./info');
+const { sanitizeFileName } = require('./parse');
+
+const MANIFEST = 'manifest.json';
+
+// Upper bound for an uploaded archive, a few hundred saves
+const MAX_ARCHIVE_SIZE = process.env.SAVE_ARCHIVE_MAX_SIZE || '32mb';
+// Limits on what an archive expands to. Sizes are the ones declared in the
+// zip's directory; adm-zip stops inflating an entry once it outgrows its
+// declared size (on Node 15 and later), so a lying header cannot expand past
+// these either.
+const MAX_ARCHIVE_ENTRIES = 1000;
+const MAX_ENTRY_SIZE = 1 << 20;
+const MAX_EXTRACTED_SIZE = 64 << 20;
+
+class ArchiveError extends Error {}
+
+// Builds a zip with every save as a .sv entry, plus a manifest describing them.
+// Entries are named after the game's save slot when known; two characters may
+// share a slot name across devices, so later ones get a numbered suffix.
+function buildArchive(saves) {
+  const zip = new AdmZip();
+  const used = new Set();
+  const manifest = [];
+
+  for (const save of saves) {
+    const base = (save.fileName || `${save.characterName}.sv`).replace(/\.sv$/i, '');
+    let entry = `${base}.sv`;
+    for (let i = 1; used.has(entry.toLowerCase()); ++i) {
+      entry = `${base}-${i}.sv`;
+    }
+    used.add(entry.toLowerCase());
+
+    zip.addFile(entry, saveBytes(save));
+    manifest.push({
+      file: entry,
+      fileName: save.fileName || null,
+      characterName: save.characterName,
+      characterClass: save.characterClass,
+      level: save.level,
+      edition: save.edition,
+      lastSaved: save.lastSaved,
+    });
+  }
+
+  zip.addFile(MANIFEST, Buffer.from(JSON.stringify({ version: 1, saves: manifest }, null, 2)));
+  return zip.toBuffer();
+}
+
+// Returns the .sv entries of an archive as { entry, fileName, read() }, where
+// read() inflates the entry, or { entry, fileName, error } for entries that are
+// skipped because of the limits above. The manifest is only used to recover the
+// original slot names; the saves themselves are validated by the caller like
+// any other upload.
+function readArchive(buffer) {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw new ArchiveError(`Archives hold at most ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  const slots = new Map();
+  const manifestEntry = entries.find(entry => entry.entryName === MANIFEST);
+  if (manifestEntry && manifestEntry.header.size <= MAX_ENTRY_SIZE) {
+    try {
+      const manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+      for (const save of manifest.saves || []) {
+        slots.set(save.file, save.fileName);
+      }
+    } catch (error) {
+      // A broken manifest is not fatal, slot names fall back to entry names
+    }
+  }
+
+  let extracted = 0;
+  return entries
+    .filter(entry => /\.sv$/i.test(entry.entryName))
+    .map(entry => {
+      const name = entry.entryName.split('/').pop();
+      const save = {
+        entry: entry.entryName,
+        fileName: sanitizeFileName(slots.has(entry.entryName) ? slots.get(entry.entryName) : name),
+      };
+      const { size } = entry.header;
+      if (size > MAX_ENTRY_SIZE) {
+        return { ...save, error: 'Save file is too large' };
+      }
+      if (extracted + size > MAX_EXTRACTED_SIZE) {
+        return { ...save, error: 'Archive is too large once extracted' };
+      }
+      extracted += size;
+      return { ...save, read: () => entry.getData() };
+    });
+}
+
+module.exports = { ArchiveError, buildArchive, readArchive, MAX_ARCHIVE_SIZE };
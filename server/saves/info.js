@@ -0,0 +1,27 @@
+// Every write to a save bumps its `version`; the ETag is derived from it so
+// clients can send it back in If-Match and detect concurrent uploads.
+function saveETag(save) {
+  return `"${save.id}-${save.version || 0}"`;
+}
+
+// Save metadata as returned by the API, without the save data itself
+function saveInfo(save) {
+  return {
+    id: save.id,
+    characterName: save.characterName,
+    characterClass: save.characterClass,
+    level: save.level,
+    edition: save.edition,
+    lastSaved: save.lastSaved,
+    leaderboard: !!save.leaderboard,
+    etag: saveETag(save),
+  };
+}
+
+// Save data is stored as raw bytes; documents written before that hold a
+// base64 string instead.
+function saveBytes(save) {
+  return Buffer.isBuffer(save.saveData) ? save.saveData : Buffer.from(save.saveData, 'base64');
+}
+
+module.exports = { saveETag, saveInfo, saveBytes };
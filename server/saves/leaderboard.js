@@ -0,0 +1,40 @@
+const EDITIONS = ['shareware', 'retail'];
+const CLASSES = ['Warrior', 'Rogue', 'Sorcerer'];
+// Most entries returned for one ranking
+const LEADERBOARD_SIZE = parseInt(process.env.LEADERBOARD_SIZE, 10) || 100;
+
+// Ranks the characters whose owners opted in, by level. Ties go to whoever
+// saved first, as they got there earlier. Without a class this is the overall
+// ranking. Characters of banned players are left out.
+//
+// Every opted-in save is ranked before the top is cut, since storage can only
+// order by level and would cut ties anywhere.
+async function leaderboard(storage, { characterClass, edition, limit = LEADERBOARD_SIZE }) {
+  const saves = await storage.saves.find({
+    leaderboard: true,
+    ...(characterClass && { characterClass }),
+    ...(edition && { edition }),
+  });
+
+  const users = new Map();
+  for (const userId of new Set(saves.map(save => save.userId))) {
+    users.set(userId, await storage.users.get(userId));
+  }
+
+  const ranked = saves
+    .filter(save => !(users.get(save.userId) || {}).banned)
+    .sort((a, b) => (b.level - a.level) || (new Date(a.lastSaved) - new Date(b.lastSaved)))
+    .slice(0, Math.min(limit, LEADERBOARD_SIZE));
+
+  return ranked.map((save, i) => ({
+    rank: i + 1,
+    characterName: save.characterName,
+    characterClass: save.characterClass,
+    level: save.level,
+    edition: save.edition,
+    player: (users.get(save.userId) || {}).displayName || 'Unknown',
+    lastSaved: save.lastSaved,
+  }));
+}
+
+module.exports = { EDITIONS, CLASSES, LEADERBOARD_SIZE, leaderboard };
@@ -0,0 +1,22 @@
+const { findPage } = require('../storage/pagination');
+
+// Sorts are done by the storage query, on these fields. Names sort as stored,
+// so case-sensitively.
+const SAVE_SORTS = {
+  lastSaved: 'lastSaved',
+  level: 'level',
+  name: 'characterName',
+};
+
+// Names read best A to Z, everything else newest or highest first
+const DEFAULT_ORDER = { name: 'asc' };
+
+// One page of a user's saves. The class is filtered by the storage query,
+// the level range while paging as the adapters only compare for equality.
+async function listSaves(storage, userId, { characterClass, minLevel, maxLevel, sort = 'lastSaved', order, cursor, limit }) {
+  const matches = save => (minLevel == null || save.level >= minLevel) && (maxLevel == null || save.level <= maxLevel);
+  return findPage(storage.saves, { userId, ...(characterClass && { characterClass }) }, SAVE_SORTS,
+    { sort, order: order || DEFAULT_ORDER[sort] || 'desc', cursor, limit }, matches);
+}
+
+module.exports = { SAVE_SORTS, listSaves };
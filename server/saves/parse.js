@@ -0,0 +1,56 @@
+// src/api is an ES module package shared with the browser build, so it is
+// loaded by loadSaveFormat() when the server starts
+let savefile = null;
+
+const MAX_LEVEL = 50;
+
+// Diablo saves are a few dozen kilobytes; anything much larger is not a save
+const MAX_SAVE_SIZE = process.env.SAVE_MAX_SIZE || '512kb';
+
+class InvalidSaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSaveError';
+  }
+}
+
+async function loadSaveFormat() {
+  savefile = await import('../../src/api/savefile.js');
+}
+
+// Opens an uploaded .sv file the same way the game client does and derives the
+// character metadata from the hero record, instead of trusting the client.
+async function parseSaveFile(buffer) {
+  if (!savefile) {
+    throw new Error('Save file format not loaded, see loadSaveFormat()');
+  }
+  const { readHero, HeroClasses } = savefile;
+  const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+  let hero;
+  try {
+    hero = readHero(data);
+  } catch (error) {
+    throw new InvalidSaveError(`Invalid save file: ${error.message}`);
+  }
+
+  const characterClass = HeroClasses[hero.cls];
+  if (!hero.name || !characterClass || hero.level < 1 || hero.level > MAX_LEVEL) {
+    throw new InvalidSaveError('Invalid save file: corrupted hero record');
+  }
+
+  return {
+    characterName: hero.name,
+    characterClass,
+    level: hero.level,
+    edition: hero.spawn ? 'shareware' : 'retail',
+  };
+}
+
+// Save slots are named by the game (single_0.sv, spawn3.sv, multi_1.sv, ...);
+// anything else is dropped rather than echoed back in Content-Disposition.
+function sanitizeFileName(name) {
+  return typeof name === 'string' && /^[\w-]{1,32}\.sv$/i.test(name) ? name.toLowerCase() : null;
+}
+
+module.exports = { loadSaveFormat, parseSaveFile, sanitizeFileName, InvalidSaveError, MAX_SAVE_SIZE, MAX_LEVEL };
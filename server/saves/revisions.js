@@ -0,0 +1,55 @@
+// Every upload of a save is also kept as a revision, so a bad upload can be
+// rolled back. Only the newest SAVE_REVISIONS revisions of each save are kept.
+const MAX_REVISIONS = parseInt(process.env.SAVE_REVISIONS, 10) || 10;
+
+function revisionInfo(revision, currentId) {
+  return {
+    id: revision.id,
+    characterName: revision.characterName,
+    characterClass: revision.characterClass,
+    level: revision.level,
+    edition: revision.edition,
+    createdAt: revision.createdAt,
+    current: revision.id === currentId,
+  };
+}
+
+function listRevisions(storage, saveId) {
+  return storage.revisions.find({ saveId }, { orderBy: 'createdAt', direction: 'desc' });
+}
+
+async function addRevision(storage, save) {
+  const revision = await storage.revisions.create({
+    saveId: save.id,
+    userId: save.userId,
+    characterName: save.characterName,
+    characterClass: save.characterClass,
+    level: save.level,
+    edition: save.edition || null,
+    fileName: save.fileName || null,
+    saveData: save.saveData,
+    createdAt: save.lastSaved,
+  });
+
+  const revisions = await listRevisions(storage, save.id);
+  for (const old of revisions.slice(MAX_REVISIONS)) {
+    if (old.id !== revision.id) {
+      await storage.revisions.delete(old.id);
+    }
+  }
+  return revision;
+}
+
+async function deleteRevisions(storage, saveId) {
+  for (const revision of await listRevisions(storage, saveId)) {
+    await storage.revisions.delete(revision.id);
+  }
+}
+
+module.exports = {
+  MAX_REVISIONS,
+  revisionInfo,
+  listRevisions,
+  addRevision,
+  deleteRevisions,
+};
@@ -0,0 +1,43 @@
+const { addRevision } = require('./revisions');
+
+// Writes a parsed save. With `existing`, the save is overwritten only if its
+// version did not change since it was read; null is returned if it did.
+// Every successful write is recorded as a new revision.
+async function writeSave(storage, userId, existing, hero, buffer, fileName) {
+  const { characterName, characterClass, level, edition } = hero;
+
+  let save;
+  if (existing) {
+    save = await storage.saves.updateIf(existing.id, { version: existing.version }, {
+      saveData: buffer,
+      characterClass,
+      level,
+      edition,
+      ...(fileName && { fileName }),
+      lastSaved: new Date(),
+      version: (existing.version || 0) + 1
+    });
+    if (!save) {
+      return null;
+    }
+  } else {
+    save = await storage.saves.create({
+      userId,
+      characterName,
+      characterClass,
+      level,
+      edition,
+      fileName,
+      saveData: buffer,
+      lastSaved: new Date(),
+      version: 1,
+      gameVersion: '1.0'
+    });
+  }
+
+  const revision = await addRevision(storage, save);
+  await storage.saves.update(save.id, { revisionId: revision.id });
+  return save;
+}
+
+module.exports = { writeSave };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryStorage } = require('./memory');
+const { logger } = require('../observability/logger');
+
+// JSON has no Date or binary type, so both are tagged on the way out and
+// restored on the way in.
+function encode(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { $binary: value.toString('base64') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = encode(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) {
+    return value.map(decode);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+    if (typeof value.$binary === 'string') {
+      return Buffer.from(value.$binary, 'base64');
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = decode(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+class FileStorage extends MemoryStorage {
+  constructor(filename) {
+    super();
+    this.name = 'file';
+    this.filename = path.resolve(filename);
+    this.writing = Promise.resolve();
+  }
+
+  async connect() {
+    let contents;
+    try {
+      contents = JSON.parse(await fs.promises.readFile(this.filename, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      contents = {};
+    }
+    for (const [name, collection] of Object.entries(this.collections())) {
+      collection.docs = new Map(Object.entries(decode(contents[name] || {})));
+    }
+    logger.info(`📁 Storage em arquivo: ${this.filename}`);
+    return this;
+  }
+
+  snapshot() {
+    const contents = {};
+    for (const [name, collection] of Object.entries(this.collections())) {
+      contents[name] = encode(Object.fromEntries(collection.docs));
+    }
+    return JSON.stringify(contents);
+  }
+
+  // Writes are chained so that the file always ends up with the latest
+  // snapshot, and go through a temporary file so a crash never leaves a
+  // truncated database behind.
+  persist() {
+    const data = this.snapshot();
+    const tmp = `${this.filename}.tmp`;
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, this.filename);
+    });
+    return this.writing;
+  }
+
+  async ping() {
+    await this.writing;
+    return true;
+  }
+
+  // Waits for the last snapshot to be written
+  async close() {
+    await this.writing;
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,142 @@
+const { FieldPath } = require('firebase-admin').firestore;
+const connectDB = require('../config/database');
+const { compare } = require('./memory');
+
+// Firestore hands back Timestamp objects; the rest of the server works with
+// plain Dates regardless of the backing store.
+function fromFirestore(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = fromFirestore(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function toDoc(snapshot) {
+  return snapshot.exists ? { id: snapshot.id, ...fromFirestore(snapshot.data()) } : null;
+}
+
+class FirestoreCollection {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async get(id) {
+    return toDoc(await this.collection.doc(id).get());
+  }
+
+  // Same options as MemoryCollection.find
+  async find(where = {}, { orderBy, direction = 'asc', limit, startAfter } = {}) {
+    let query = this.collection;
+    for (const [field, value] of Object.entries(where)) {
+      query = query.where(field, '==', value);
+    }
+    if (orderBy) {
+      query = query.orderBy(orderBy, direction).orderBy(FieldPath.documentId(), direction);
+      if (startAfter) {
+        query = query.startAfter(...startAfter);
+      }
+    }
+    if (limit != null) {
+      query = query.limit(limit);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs.map(toDoc);
+  }
+
+  async findOne(where, options) {
+    const [doc] = await this.find(where, { ...options, limit: 1 });
+    return doc || null;
+  }
+
+  async create(data) {
+    const ref = await this.collection.add(data);
+    return { id: ref.id, ...data };
+  }
+
+  async set(id, data) {
+    await this.collection.doc(id).set(data);
+    return { id, ...data };
+  }
+
+  async update(id, fields) {
+    const ref = this.collection.doc(id);
+    await ref.update(fields);
+    return toDoc(await ref.get());
+  }
+
+  async updateIf(id, expected, fields) {
+    const ref = this.collection.doc(id);
+    const applied = await this.collection.firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) {
+        return false;
+      }
+      const data = fromFirestore(snapshot.data());
+      if (!Object.entries(expected).every(([field, value]) => compare(data[field], fromFirestore(value)) === 0)) {
+        return false;
+      }
+      transaction.update(ref, fields);
+      return true;
+    });
+    return applied ? toDoc(await ref.get()) : null;
+  }
+
+  async delete(id) {
+    const ref = this.collection.doc(id);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return false;
+    }
+    await ref.delete();
+    return true;
+  }
+}
+
+class FirestoreStorage {
+  constructor() {
+    this.name = 'firestore';
+  }
+
+  collections() {
+    return {
+      users: this.users,
+      savegames: this.saves,
+      multiplayerrooms: this.rooms,
+      saverevisions: this.revisions,
+      chatmessages: this.chat,
+      sessions: this.sessions,
+    };
+  }
+
+  async connect() {
+    this.db = connectDB();
+    this.users = new FirestoreCollection(this.db.collection('users'));
+    this.saves = new FirestoreCollection(this.db.collection('savegames'));
+    this.rooms = new FirestoreCollection(this.db.collection('multiplayerrooms'));
+    this.revisions = new FirestoreCollection(this.db.collection('saverevisions'));
+    this.chat = new FirestoreCollection(this.db.collection('chatmessages'));
+    this.sessions = new FirestoreCollection(this.db.collection('sessions'));
+    return this;
+  }
+
+  async ping() {
+    await this.db.collection('health_check').limit(1).get();
+    return true;
+  }
+
+  async close() {
+    await this.db.terminate();
+  }
+}
+
+module.exports = FirestoreStorage;
@@ -0,0 +1,27 @@
+const { MemoryStorage } = require('./memory');
+
+// Every adapter exposes the same collections (users, saves, rooms, revisions, chat,
+// sessions) with get/find/findOne/create/set/update/updateIf/delete, plus connect(),
+// ping() and close().
+// STORAGE_DRIVER picks the adapter:
+//   firestore - Firebase Firestore (default, needs the FIREBASE_* variables)
+//   memory    - volatile, for tests and quick local runs
+//   file      - JSON database at STORAGE_FILE (default ./data/db.json)
+function createStorage(driver = process.env.STORAGE_DRIVER || 'firestore') {
+  switch (driver) {
+    case 'firestore': {
+      const FirestoreStorage = require('./firestore');
+      return new FirestoreStorage();
+    }
+    case 'memory':
+      return new MemoryStorage();
+    case 'file': {
+      const FileStorage = require('./file');
+      return new FileStorage(process.env.STORAGE_FILE || './data/db.json');
+    }
+    default:
+      throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+  }
+}
+
+module.exports = createStorage;
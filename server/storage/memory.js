@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// Deep copy that keeps Dates and Buffers intact, so callers never share
+// references with what is stored.
+function clone(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        result[key] = clone(item);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+// Orders field values, Dates by their time. Also used by the other adapters,
+// so conditions match the same way everywhere.
+function compare(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a == null) return b == null ? 0 : -1;
+  if (b == null) return 1;
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function generateId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+class MemoryCollection {
+  constructor(onChange) {
+    this.docs = new Map();
+    this.onChange = onChange || (() => Promise.resolve());
+  }
+
+  async get(id) {
+    const doc = this.docs.get(id);
+    return doc ? { id, ...clone(doc) } : null;
+  }
+
+  // where: { field: value } equality filters
+  // options: { orderBy, direction: 'asc' | 'desc', limit, startAfter }. Ties
+  // in orderBy are broken by id; startAfter: [value, id] skips to the
+  // documents after that position.
+  async find(where = {}, { orderBy, direction = 'asc', limit, startAfter } = {}) {
+    let results = [];
+    for (const [id, doc] of this.docs) {
+      if (Object.entries(where).every(([field, value]) => compare(doc[field], value) === 0)) {
+        results.push({ id, ...clone(doc) });
+      }
+    }
+    if (orderBy) {
+      const sign = direction === 'desc' ? -1 : 1;
+      const order = (a, b) => sign * (compare(a[orderBy], b[orderBy]) || compare(a.id, b.id));
+      results.sort(order);
+      if (startAfter) {
+        const [value, id] = startAfter;
+        results = results.filter(doc => order(doc, { [orderBy]: value, id }) > 0);
+      }
+    }
+    if (limit != null) {
+      results = results.slice(0, limit);
+    }
+    return results;
+  }
+
+  async findOne(where, options) {
+    const [doc] = await this.find(where, { ...options, limit: 1 });
+    return doc || null;
+  }
+
+  async create(data) {
+    const id = generateId();
+    this.docs.set(id, clone(data));
+    await this.onChange();
+    return { id, ...clone(data) };
+  }
+
+  async set(id, data) {
+    this.docs.set(id, clone(data));
+    await this.onChange();
+    return { id, ...clone(data) };
+  }
+
+  async update(id, fields) {
+    const doc = this.docs.get(id);
+    if (!doc) {
+      throw new Error(`Document ${id} not found`);
+    }
+    Object.assign(doc, clone(fields));
+    await this.onChange();
+    return { id, ...clone(doc) };
+  }
+
+  // Compare-and-set: applies the update only if every field in `expected`
+  // still has the given value. Returns null when the precondition failed.
+  async updateIf(id, expected, fields) {
+    const doc = this.docs.get(id);
+    if (!doc || !Object.entries(expected).every(([field, value]) => compare(doc[field], value) === 0)) {
+      return null;
+    }
+    return this.update(id, fields);
+  }
+
+  async delete(id) {
+    const existed = this.docs.delete(id);
+    if (existed) {
+      await this.onChange();
+    }
+    return existed;
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    const onChange = () => this.persist();
+    this.users = new MemoryCollection(onChange);
+    this.saves = new MemoryCollection(onChange);
+    this.rooms = new MemoryCollection(onChange);
+    this.revisions = new MemoryCollection(onChange);
+    this.chat = new MemoryCollection(onChange);
+    this.sessions = new MemoryCollection(onChange);
+  }
+
+  collections() {
+    return {
+      users: this.users,
+      savegames: this.saves,
+      multiplayerrooms: this.rooms,
+      saverevisions: this.revisions,
+      chatmessages: this.chat,
+      sessions: this.sessions,
+    };
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async close() {
+  }
+
+  async persist() {
+  }
+}
+
+module.exports = { MemoryStorage, MemoryCollection, clone, compare };
@@ -0,0 +1,65 @@
+// Cursor-based pagination done by the storage query, so only about a page of
+// documents is loaded at a time. A cursor is the sort value and id of the last
+// document of a page, so pages stay stable while documents are added or
+// removed in between.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class CursorError extends Error {}
+
+// Dates travel as milliseconds
+function encodeCursor(sort, order, doc, field) {
+  const value = doc[field] == null ? null : doc[field];
+  const date = value instanceof Date;
+  const cursor = { sort, order, value: date ? value.getTime() : value, id: doc.id, ...(date && { date }) };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text, sort, order) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(text, 'base64url').toString());
+  } catch (error) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (!cursor || typeof cursor.id !== 'string' ||
+      !(cursor.value === null || ['number', 'string'].includes(typeof cursor.value))) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (cursor.sort !== sort || cursor.order !== order) {
+    throw new CursorError('Cursor belongs to a different sort order');
+  }
+  return [cursor.date ? new Date(cursor.value) : cursor.value, cursor.id];
+}
+
+// sorts: { name: field } maps the sort names clients use to stored fields.
+// Ties are broken by id, so every document has a unique position. Filters the
+// adapters cannot run (they only compare for equality) go in `matches`; more
+// documents are fetched, a page at a time, until the page is full. Returns
+// { items, nextCursor }, nextCursor is null on the last page.
+async function findPage(collection, where, sorts, { sort, order = 'desc', cursor, limit = DEFAULT_PAGE_SIZE }, matches = () => true) {
+  const orderBy = sorts[sort];
+  const size = Math.min(limit, MAX_PAGE_SIZE);
+  let startAfter = cursor ? decodeCursor(cursor, sort, order) : null;
+
+  // One more than the page, to know whether there is a next one
+  const items = [];
+  let batch;
+  do {
+    batch = await collection.find(where, { orderBy, direction: order, limit: size + 1, startAfter });
+    items.push(...batch.filter(matches));
+    if (batch.length) {
+      const last = batch[batch.length - 1];
+      startAfter = [last[orderBy], last.id];
+    }
+  } while (items.length <= size && batch.length > size);
+
+  const page = items.slice(0, size);
+  return {
+    items: page,
+    nextCursor: items.length > size ? encodeCursor(sort, order, page[page.length - 1], orderBy) : null,
+  };
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, CursorError, findPage };
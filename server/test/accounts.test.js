@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const accounts = require('../auth/accounts');
+const { AccountError } = accounts;
+
+// Keeps the emails it is asked to send
+function fakeMailer() {
+  const sent = [];
+  return { sent, send: async mail => { sent.push(mail); } };
+}
+
+// The token is the only line of the email that has no spaces
+const tokenIn = mail => mail.text.split('\n').find(line => line && !line.includes(' '));
+
+async function setup() {
+  const storage = new MemoryStorage();
+  const mailer = fakeMailer();
+  const user = await accounts.register(storage, { username: 'Alice', email: 'Alice@Example.com', password: 'correct horse' });
+  return { storage, mailer, user };
+}
+
+test('usernames and emails are unique regardless of case', async () => {
+  const { storage } = await setup();
+  await assert.rejects(
+    accounts.register(storage, { username: 'alice', email: 'other@example.com', password: 'password' }),
+    error => error instanceof AccountError && error.status === 409,
+  );
+  await assert.rejects(
+    accounts.register(storage, { username: 'Bob', email: 'alice@example.com', password: 'password' }),
+    error => error instanceof AccountError && error.status === 409,
+  );
+});
+
+test('logins fail the same way for unknown users and wrong passwords', async () => {
+  const { storage, user } = await setup();
+  assert.strictEqual((await accounts.login(storage, { username: 'ALICE', password: 'correct horse' })).id, user.id);
+  const wrong = await accounts.login(storage, { username: 'alice', password: 'wrong' }).catch(error => error);
+  const unknown = await accounts.login(storage, { username: 'nobody', password: 'wrong' }).catch(error => error);
+  assert.strictEqual(wrong.status, 401);
+  assert.deepStrictEqual([unknown.status, unknown.message], [wrong.status, wrong.message]);
+});
+
+test('public accounts leave out the password and tokens', async () => {
+  const { storage, mailer, user } = await setup();
+  await accounts.requestPasswordReset(storage, mailer, 'alice@example.com');
+  const account = accounts.publicAccount(await storage.users.get(user.id));
+  for (const field of ['id', 'passwordHash', 'passwordReset', 'usernameKey']) {
+    assert.ok(!(field in account), field);
+  }
+});
+
+test('password reset tokens are only sent by email, and work once', async () => {
+  const { storage, mailer } = await setup();
+  assert.strictEqual(await accounts.requestPasswordReset(storage, mailer, 'nobody@example.com'), false);
+  assert.strictEqual(mailer.sent.length, 0);
+
+  assert.strictEqual(await accounts.requestPasswordReset(storage, mailer, 'ALICE@example.com'), true);
+  assert.strictEqual(mailer.sent[0].to, 'alice@example.com');
+  const token = tokenIn(mailer.sent[0]);
+
+  await assert.rejects(accounts.resetPassword(storage, `${token}x`, 'new password'), AccountError);
+  await accounts.resetPassword(storage, token, 'new password');
+  await assert.rejects(accounts.resetPassword(storage, token, 'again'), AccountError);
+  await accounts.login(storage, { username: 'alice', password: 'new password' });
+  await assert.rejects(accounts.login(storage, { username: 'alice', password: 'correct horse' }), AccountError);
+});
+
+test('expired password reset tokens are refused', async () => {
+  const { storage, mailer, user } = await setup();
+  await accounts.requestPasswordReset(storage, mailer, 'alice@example.com');
+  const { passwordReset } = await storage.users.get(user.id);
+  await storage.users.update(user.id, { passwordReset: { ...passwordReset, expiresAt: new Date(Date.now() - 1000) } });
+  await assert.rejects(accounts.resetPassword(storage, tokenIn(mailer.sent[0]), 'new password'), /expired/);
+});
+
+test('emails are verified with the emailed token', async () => {
+  const { storage, mailer, user } = await setup();
+  await accounts.requestEmailVerification(storage, mailer, user.id);
+  await accounts.verifyEmail(storage, tokenIn(mailer.sent[0]));
+  assert.strictEqual((await storage.users.get(user.id)).emailVerified, true);
+  await assert.rejects(
+    accounts.requestEmailVerification(storage, mailer, user.id),
+    error => error instanceof AccountError && error.status === 409,
+  );
+});
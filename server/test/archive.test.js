@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { ArchiveError, readArchive } = require('../saves/archive');
+
+function zip(files) {
+  const archive = new AdmZip();
+  for (const [name, data] of Object.entries(files)) {
+    archive.addFile(name, data);
+  }
+  return archive.toBuffer();
+}
+
+test('entries are only inflated when read', () => {
+  const entries = readArchive(zip({ 'hero.sv': Buffer.from('save data'), 'notes.txt': Buffer.from('ignored') }));
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].entry, 'hero.sv');
+  assert.strictEqual(entries[0].fileName, 'hero.sv');
+  assert.strictEqual(typeof entries[0].read, 'function');
+  assert.strictEqual(entries[0].read().toString(), 'save data');
+});
+
+test('slot names come from the manifest', () => {
+  const manifest = { version: 1, saves: [{ file: 'hero-1.sv', fileName: 'multi_0.sv' }] };
+  const [entry] = readArchive(zip({ 'hero-1.sv': Buffer.from('x'), 'manifest.json': Buffer.from(JSON.stringify(manifest)) }));
+  assert.strictEqual(entry.fileName, 'multi_0.sv');
+});
+
+test('oversized entries are skipped with an error', () => {
+  const entries = readArchive(zip({ 'big.sv': Buffer.alloc((1 << 20) + 1), 'small.sv': Buffer.from('x') }));
+  assert.deepStrictEqual(entries.map(({ entry, error }) => ({ entry, error })), [
+    { entry: 'big.sv', error: 'Save file is too large' },
+    { entry: 'small.sv', error: undefined },
+  ]);
+  assert.strictEqual(entries[0].read, undefined);
+});
+
+test('entries past the total extracted size are skipped', () => {
+  const data = Buffer.alloc(1 << 20);
+  const files = {};
+  for (let i = 0; i < 65; ++i) {
+    files[`hero${i}.sv`] = data;
+  }
+  const entries = readArchive(zip(files));
+  assert.strictEqual(entries.filter(entry => entry.read).length, 64);
+  assert.strictEqual(entries[64].error, 'Archive is too large once extracted');
+});
+
+test('archives with too many files are rejected', () => {
+  const files = {};
+  for (let i = 0; i <= 1000; ++i) {
+    files[`hero${i}.sv`] = Buffer.from('x');
+  }
+  assert.throws(() => readArchive(zip(files)), ArchiveError);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const jwt = require('../auth/jwt');
+const { LocalAuthProvider, RefreshError } = require('../auth/local');
+
+const SECRET = 'test secret';
+
+test('tokens are refused with another secret, tampered with or expired', () => {
+  const token = jwt.sign({ sub: 'alice' }, SECRET, 60);
+  assert.strictEqual(jwt.verify(token, SECRET).sub, 'alice');
+  assert.throws(() => jwt.verify(token, 'other secret'), jwt.TokenError);
+
+  const [header, , sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'mallory', exp: Date.now() })).toString('base64url');
+  assert.throws(() => jwt.verify(`${header}.${forged}.${sig}`, SECRET), jwt.TokenError);
+  assert.throws(() => jwt.verify('not a token', SECRET), jwt.TokenError);
+  assert.throws(() => jwt.verify(jwt.sign({ sub: 'alice' }, SECRET, -1), SECRET), /expired/);
+});
+
+test('only access tokens of this provider sign users in', async () => {
+  const auth = new LocalAuthProvider(new MemoryStorage(), SECRET);
+  const { accessToken, refreshToken } = await auth.issueTokens({ uid: 'alice', email: 'alice@example.com' });
+  assert.deepStrictEqual(await auth.verifyToken(accessToken), { uid: 'alice', email: 'alice@example.com' });
+  // Join tickets and other tokens signed with the same secret are not access tokens
+  await assert.rejects(auth.verifyToken(jwt.sign({ sub: 'alice', typ: 'join' }, SECRET, 60)), jwt.TokenError);
+  await assert.rejects(auth.verifyToken(refreshToken), jwt.TokenError);
+});
+
+test('refresh tokens work once', async () => {
+  const auth = new LocalAuthProvider(new MemoryStorage(), SECRET);
+  const { refreshToken } = await auth.issueTokens({ uid: 'alice' });
+  const { user, tokens } = await auth.refresh(refreshToken);
+  assert.strictEqual(user.uid, 'alice');
+  await assert.rejects(auth.refresh(refreshToken), RefreshError);
+  assert.strictEqual((await auth.verifyToken(tokens.accessToken)).uid, 'alice');
+
+  const [id] = tokens.refreshToken.split('.');
+  await assert.rejects(auth.refresh(`${id}.guessed`), RefreshError);
+  await assert.rejects(auth.refresh(undefined), RefreshError);
+});
+
+test('revoked sessions cannot be refreshed', async () => {
+  const auth = new LocalAuthProvider(new MemoryStorage(), SECRET);
+  const first = await auth.issueTokens({ uid: 'alice' });
+  const second = await auth.issueTokens({ uid: 'alice' });
+  const other = await auth.issueTokens({ uid: 'bob' });
+
+  await auth.revoke(first.refreshToken);
+  await assert.rejects(auth.refresh(first.refreshToken), RefreshError);
+
+  await auth.revokeAll('alice');
+  await assert.rejects(auth.refresh(second.refreshToken), RefreshError);
+  assert.strictEqual((await auth.refresh(other.refreshToken)).user.uid, 'bob');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const { RoomChat, ChatError } = require('../multiplayer/chat');
+
+async function setup() {
+  const storage = new MemoryStorage();
+  const io = { to: () => ({ emit: () => {} }) };
+  const chat = new RoomChat(storage, io);
+  // Two players going by the same name
+  const player = (userId, playerName) => ({ userId, playerName, characterClass: 'Warrior', level: 1 });
+  const room = await storage.rooms.create({
+    name: 'room',
+    host: 'host',
+    players: [player('host', 'Host'), player('alice', 'Hero'), player('bob', 'Hero')],
+  });
+  return { storage, chat, room };
+}
+
+test('mutes go by user id, not by name', async () => {
+  const { chat, room } = await setup();
+  await chat.send('host', room.id, '/mute bob');
+  await assert.rejects(chat.send('bob', room.id, 'hello'), /muted/);
+  assert.strictEqual((await chat.send('alice', room.id, 'hello')).text, 'hello');
+  await assert.rejects(chat.send('host', room.id, '/mute Hero'), ChatError);
+});
+
+test('only the host mutes, and can unmute players that left', async () => {
+  const { storage, chat, room } = await setup();
+  await assert.rejects(chat.send('alice', room.id, '/mute bob'), /Only the host/);
+  await chat.send('host', room.id, '/mute bob');
+  await storage.rooms.update(room.id, { players: room.players.filter(p => p.userId !== 'bob') });
+  await chat.send('host', room.id, '/unmute bob');
+  assert.deepStrictEqual((await storage.rooms.get(room.id)).mutedUsers, []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { GameServer } = require('../multiplayer/gameserver');
+const { MemoryStorage } = require('../storage/memory');
+const { JoinTickets } = require('../multiplayer/tickets');
+
+// Game clients over a fake socket, speaking the packets from src/api/packet.js.
+// The host and guest are signed in as given.
+async function setup({ hostId = null, guestId = null } = {}) {
+  const packet = await import('../../src/api/packet.js');
+  const { write_packet, read_packet, buffer_reader, client_packet, server_packet } = packet;
+  const storage = new MemoryStorage();
+  const server = new GameServer(packet, new JoinTickets(storage, 'secret'));
+
+  const connect = uid => {
+    const ws = Object.assign(new EventEmitter(), { OPEN: 1, readyState: 1, received: [], closed: null });
+    ws.send = data => ws.received.push(read_packet(new buffer_reader(data), server_packet));
+    ws.close = code => ws.closed = code;
+    server.onConnection(ws, uid);
+    const send = (type, pkt) => ws.emit('message', write_packet(client_packet[type], pkt));
+    send('info', { version: 1 });
+    const received = type => ws.received.filter(p => p.type === server_packet[type]).map(p => p.packet);
+    return { ws, send, disconnects: () => received('disconnect'), rejections: () => received('join_reject') };
+  };
+  const join = async player => {
+    player.send('join_game', { cookie: 2, name: 'game', password: '' });
+    // Joining a signed-in host's game looks up the host's bans first
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  // A host and a second player in the same game
+  const host = connect(hostId);
+  host.send('create_game', { cookie: 1, name: 'game', password: '', difficulty: 0 });
+  const guest = connect(guestId);
+  await join(guest);
+  return { server, storage, packet, host, guest, connect, join };
+}
+
+test('the host can drop other players', async () => {
+  const { server, host, guest } = await setup();
+  host.send('drop_player', { id: 1, reason: 0x40000006 });
+  assert.deepStrictEqual(guest.disconnects(), [{ id: 1, reason: 0x40000006 }]);
+  assert.strictEqual(server.playerCount(), 1);
+});
+
+test('players cannot drop someone else', async () => {
+  const { server, host, guest } = await setup();
+  guest.send('drop_player', { id: 0, reason: 0x40000006 });
+  assert.deepStrictEqual(host.disconnects(), []);
+  assert.strictEqual(server.playerCount(), 2);
+});
+
+test('players can drop themselves', async () => {
+  const { server, host, guest } = await setup();
+  guest.send('drop_player', { id: 1, reason: 3 });
+  assert.deepStrictEqual(host.disconnects(), [{ id: 1, reason: 3 }]);
+  assert.strictEqual(server.playerCount(), 1);
+});
+
+test('drops of unknown players or reasons close the connection', async () => {
+  for (const pkt of [{ id: 9, reason: 3 }, { id: 1, reason: 12345 }]) {
+    const { server, host } = await setup();
+    host.send('drop_player', pkt);
+    assert.strictEqual(host.ws.closed, 1002);
+    assert.strictEqual(server.playerCount(), 2);
+  }
+});
+
+test('the game ends when its host leaves', async () => {
+  const { server, host, guest, connect, join } = await setup();
+  host.send('leave_game', {});
+  assert.deepStrictEqual(guest.disconnects(), [{ id: 1, reason: 0x40000006 }]);
+  assert.strictEqual(server.playerCount(), 0);
+
+  const stranger = connect();
+  await join(stranger);
+  assert.strictEqual(server.playerCount(), 0);
+});
+
+test('games of signed-in hosts only let in signed-in players that are not banned', async () => {
+  const { RejectionReason } = await import('../../src/api/packet.js');
+  const { server, storage, guest, connect, join } = await setup({ hostId: 'host' });
+  assert.deepStrictEqual(guest.rejections().map(r => r.reason), [RejectionReason.JOIN_SIGN_IN_REQUIRED]);
+
+  await storage.rooms.create({ name: 'room', host: 'host', players: [], bannedUsers: ['mallory'] });
+  const mallory = connect('mallory');
+  await join(mallory);
+  assert.deepStrictEqual(mallory.rejections().map(r => r.reason), [RejectionReason.JOIN_BANNED]);
+
+  const alice = connect('alice');
+  await join(alice);
+  assert.strictEqual(server.playerCount(), 2);
+});
+
+test('players kicked from the host\'s room leave the host\'s games', async () => {
+  const { server, host } = await setup({ hostId: 'host', guestId: 'guest' });
+  assert.strictEqual(server.playerCount(), 2);
+  server.kick('someone else', 'guest');
+  assert.strictEqual(server.playerCount(), 2);
+  server.kick('host', 'guest');
+  assert.deepStrictEqual(host.disconnects(), [{ id: 1, reason: 0x40000006 }]);
+  assert.strictEqual(server.playerCount(), 1);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const { leaderboard } = require('../saves/leaderboard');
+
+async function ranking() {
+  const storage = new MemoryStorage();
+  for (const [uid, banned] of [['alice', false], ['bob', false], ['mallory', true]]) {
+    await storage.users.set(uid, { displayName: uid, banned });
+  }
+  const save = (userId, characterName, level, day) => storage.saves.create({
+    userId, characterName, characterClass: 'Warrior', edition: 'retail', level, leaderboard: true,
+    lastSaved: new Date(Date.UTC(2024, 0, day)),
+  });
+  // Created out of order, so ties are not settled by insertion order
+  await save('bob', 'Late', 10, 9);
+  await save('mallory', 'Cheater', 50, 1);
+  await save('alice', 'Early', 10, 2);
+  await save('alice', 'Low', 3, 1);
+  return storage;
+}
+
+test('ties go to whoever saved first, even across the cut', async () => {
+  const storage = await ranking();
+  const entries = await leaderboard(storage, { limit: 1 });
+  assert.deepStrictEqual(entries.map(entry => [entry.rank, entry.characterName]), [[1, 'Early']]);
+});
+
+test('characters of banned players are left out', async () => {
+  const storage = await ranking();
+  const entries = await leaderboard(storage, {});
+  assert.deepStrictEqual(entries.map(entry => entry.characterName), ['Early', 'Late', 'Low']);
+  assert.strictEqual(entries[1].player, 'bob');
+});
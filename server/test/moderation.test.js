@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const { RoomModeration, ModerationError } = require('../multiplayer/moderation');
+const { JoinTickets, TicketError } = require('../multiplayer/tickets');
+const { JoinRejection, joinRejection } = require('../multiplayer/rooms');
+
+// Records what would be emitted to each channel
+function fakeIo() {
+  const emitted = [];
+  const channel = name => ({
+    emit: (event, data) => emitted.push({ channel: name, event, data }),
+    socketsLeave: () => {},
+  });
+  return { emitted, to: channel, in: channel, emit: (event, data) => emitted.push({ event, data }) };
+}
+
+async function setup() {
+  const storage = new MemoryStorage();
+  const io = fakeIo();
+  const moderation = new RoomModeration(storage, io, { forget: () => {} }, { changed: () => {} }, { kick: () => {} });
+  const player = userId => ({ userId, playerName: userId, characterClass: 'Warrior', level: 1 });
+  const room = await storage.rooms.create({
+    name: 'room',
+    host: 'host',
+    hostName: 'Host',
+    maxPlayers: 4,
+    isPublic: true,
+    status: 'waiting',
+    players: [player('host'), player('guest'), player('other')],
+  });
+  return { storage, io, moderation, room };
+}
+
+test('only the host removes players', async () => {
+  const { moderation, room } = await setup();
+  await assert.rejects(moderation.kick('guest', room.id, 'other'), error =>
+    error instanceof ModerationError && error.status === 403);
+  await assert.rejects(moderation.kick('host', room.id, 'host'), ModerationError);
+});
+
+test('kicked players leave the room and its game', async () => {
+  const { storage, io, moderation, room } = await setup();
+  await moderation.kick('host', room.id, 'guest');
+  const updated = await storage.rooms.get(room.id);
+  assert.deepStrictEqual(updated.players.map(p => p.userId), ['host', 'other']);
+  assert.ok(io.emitted.some(e => e.channel === 'user:guest' && e.event === 'kicked'));
+  assert.ok(io.emitted.some(e => e.channel === room.id && e.event === 'player-kicked' && e.data.userId === 'guest'));
+  assert.strictEqual(await joinRejection(updated, 'guest', { level: 1 }), null);
+});
+
+test('banned players cannot join again', async () => {
+  const { storage, moderation, room } = await setup();
+  await moderation.kick('host', room.id, 'guest', { ban: true });
+  const updated = await storage.rooms.get(room.id);
+  assert.strictEqual(await joinRejection(updated, 'guest', { level: 1 }), JoinRejection.BANNED);
+});
+
+test('join tickets identify their holder to the host', async () => {
+  const { room, storage } = await setup();
+  const tickets = new JoinTickets(storage, 'secret');
+  assert.deepStrictEqual(await tickets.verify(room.host, tickets.issue('guest')), { uid: 'guest' });
+});
+
+test('forged or foreign join tickets are refused', async () => {
+  const { room, storage } = await setup();
+  const tickets = new JoinTickets(storage, 'secret');
+  const ticket = tickets.issue('guest');
+  const [header, , signature] = ticket.split('.');
+  const claims = Buffer.from(JSON.stringify({ uid: 'other', typ: 'join', exp: Date.now() })).toString('base64url');
+  await assert.rejects(tickets.verify(room.host, `${header}.${claims}.${signature}`), TicketError);
+  await assert.rejects(tickets.verify(room.host, new JoinTickets(storage, 'other').issue('guest')), TicketError);
+  await assert.rejects(tickets.verify(room.host, 'not a ticket'), TicketError);
+});
+
+test('players banned from the host\'s room get no ticket through', async () => {
+  const { room, storage, moderation } = await setup();
+  const tickets = new JoinTickets(storage, 'secret');
+  await moderation.kick('host', room.id, 'guest', { ban: true });
+  await assert.rejects(tickets.verify(room.host, tickets.issue('guest')), { code: 'BANNED' });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+const { CursorError } = require('../storage/pagination');
+const { listSaves } = require('../saves/list');
+const { listRooms } = require('../multiplayer/rooms');
+
+async function allPages(list) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await list(cursor);
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+async function saves() {
+  const storage = new MemoryStorage();
+  for (let i = 0; i < 12; ++i) {
+    await storage.saves.create({
+      userId: i % 4 ? 'alice' : 'bob',
+      characterName: `Hero${String(i).padStart(2, '0')}`,
+      level: i % 3 + 1,
+      lastSaved: new Date(Date.UTC(2024, 0, 1 + i)),
+    });
+  }
+  return storage;
+}
+
+test('pages follow each other in order without gaps', async () => {
+  const storage = await saves();
+  const items = await allPages(cursor => listSaves(storage, 'alice', { sort: 'lastSaved', cursor, limit: 2 }));
+  assert.deepStrictEqual(items.map(save => save.characterName),
+    ['Hero11', 'Hero10', 'Hero09', 'Hero07', 'Hero06', 'Hero05', 'Hero03', 'Hero02', 'Hero01']);
+});
+
+test('ties are broken by id', async () => {
+  const storage = await saves();
+  const items = await allPages(cursor => listSaves(storage, 'alice', { sort: 'level', cursor, limit: 2 }));
+  assert.strictEqual(items.length, 9);
+  assert.strictEqual(new Set(items.map(save => save.id)).size, 9);
+  assert.deepStrictEqual(items.map(save => save.level), [3, 3, 3, 2, 2, 2, 1, 1, 1]);
+});
+
+test('range filters fill whole pages', async () => {
+  const storage = await saves();
+  const page = await listSaves(storage, 'alice', { sort: 'name', minLevel: 3, limit: 2 });
+  assert.deepStrictEqual(page.items.map(save => save.characterName), ['Hero02', 'Hero05']);
+  const next = await listSaves(storage, 'alice', { sort: 'name', minLevel: 3, limit: 2, cursor: page.nextCursor });
+  assert.deepStrictEqual(next.items.map(save => save.characterName), ['Hero11']);
+  assert.strictEqual(next.nextCursor, null);
+});
+
+test('cursors only work with their own sort', async () => {
+  const storage = await saves();
+  const { nextCursor } = await listSaves(storage, 'alice', { sort: 'name', limit: 2 });
+  await assert.rejects(listSaves(storage, 'alice', { sort: 'level', cursor: nextCursor }), CursorError);
+  await assert.rejects(listSaves(storage, 'alice', { sort: 'name', cursor: 'garbage' }), CursorError);
+});
+
+test('rooms can be listed by free slots', async () => {
+  const storage = new MemoryStorage();
+  for (const [name, players] of [['a', 1], ['b', 4], ['c', 2]]) {
+    await storage.rooms.create({
+      name,
+      maxPlayers: 4,
+      freeSlots: 4 - players,
+      status: 'waiting',
+      isPublic: true,
+      players: new Array(players).fill(null).map((_, i) => ({ userId: `${name}${i}`, playerName: `${name}${i}` })),
+    });
+  }
+  const { rooms } = await listRooms(storage, { sort: 'freeSlots', minFreeSlots: 1 });
+  assert.deepStrictEqual(rooms.map(room => room.name), ['a', 'c']);
+});
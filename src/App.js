@@ -2,9 +2,9 @@ import React from 'react';
 import './App.scss';
 import classNames from 'classnames';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faTimes, faDownload, faUsers, faUser, faCog, faGoogle } from '@fortawesome/free-solid-svg-icons';
+import { faTimes, faDownload, faUpload, faUsers, faUser, faCog, faGoogle, faTrophy } from '@fortawesome/free-solid-svg-icons';
 import { faGoogle as faGoogleBrand } from '@fortawesome/free-brands-svg-icons';
-import getPlayerName from './api/savefile';
+import getPlayerName, { HeroClasses } from './api/savefile';
 
 import { mapStackTrace } from 'sourcemapped-stacktrace';
 
@@ -21,6 +21,9 @@ import Peer from 'peerjs';
 import MobileControls from './components/MobileControls';
 import MultiplayerLobby from './components/MultiplayerLobby';
 import AuthModal from './components/AuthModal';
+import Leaderboard from './components/Leaderboard';
+import { getSocket, closeSocket, joinRoomChannel, setUserId } from './socket';
+import { hasSession, login, register, refreshSession, logout as passwordLogout } from './passwordAuth';
 
 window.Peer = Peer;
 
@@ -124,7 +127,11 @@ class App extends React.Component {
     isMobile: window.innerWidth <= 768,
     user: null,
     onlineSaves: [],
-    isOnline: false
+    saveConflict: null,
+    showLeaderboard: false,
+    isOnline: false,
+    // Sign-in methods, see /api/auth/config
+    authConfig: {google: true, password: false}
   };
 
   cursorPos = {x: 0, y: 0};
@@ -162,33 +169,25 @@ class App extends React.Component {
 
     window.addEventListener('resize', this.handleResize);
     
+    fetch('/api/auth/config')
+      .then(response => response.json())
+      .then(authConfig => this.setState({ authConfig }))
+      .catch(error => console.error("Error loading auth config", error));
+
     onAuthStateChanged(auth, async (user) => {
       if (user) {
-        const token = await user.getIdToken();
-        localStorage.setItem('diabloAuthToken', token);
-        
-        try {
-          const response = await fetch('/api/auth/verify-token', {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${token}` }
-          });
-
-          if (response.ok) {
-            const { user: userData } = await response.json();
-            this.setState({ user: userData, isOnline: true, showAuthModal: false });
-            this.loadOnlineSaves();
-          } else {
-            this.handleLogout();
-          }
-        } catch (error) {
-          console.error("Error verifying token with backend", error);
-          this.handleLogout();
-        }
-      } else {
+        localStorage.setItem('diabloAuthToken', await user.getIdToken());
+        this.verifySession();
+      } else if (!hasSession()) {
         this.handleLogout();
       }
     });
 
+    // Password accounts stay signed in through their refresh token
+    if (hasSession()) {
+      refreshSession().then(ok => ok ? this.verifySession() : this.handleLogout());
+    }
+
     this.fs.then(fs => {
       const spawn = fs.files.get('spawn.mpq');
       if (spawn && SpawnSizes.includes(spawn.byteLength)) {
@@ -217,9 +216,51 @@ class App extends React.Component {
     }
   }
 
+  // Creates or updates our account for the token in localStorage
+  verifySession = async () => {
+    try {
+      const response = await fetch('/api/auth/verify-token', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('diabloAuthToken')}` }
+      });
+
+      if (response.ok) {
+        const { user: userData } = await response.json();
+        this.setState({ user: userData, isOnline: true, showAuthModal: false });
+        this.loadOnlineSaves();
+        setUserId(userData.uid);
+        // Connecting shows us as online to our friends
+        getSocket();
+      } else {
+        this.handleLogout();
+      }
+    } catch (error) {
+      console.error("Error verifying token with backend", error);
+      this.handleLogout();
+    }
+  }
+
+  handlePasswordLogin = async (username, password) => {
+    const result = await login(username, password);
+    if (result.success) {
+      await this.verifySession();
+    }
+    return result;
+  }
+
+  handleRegister = async (username, email, password) => {
+    const result = await register(username, email, password);
+    if (result.success) {
+      await this.verifySession();
+    }
+    return result;
+  }
+
   handleLogout = () => {
     signOut(auth);
+    passwordLogout();
     localStorage.removeItem('diabloAuthToken');
+    closeSocket();
     this.setState({ user: null, isOnline: false, onlineSaves: [] });
   }
 
@@ -227,16 +268,159 @@ class App extends React.Component {
     try {
       const token = localStorage.getItem('diabloAuthToken');
       if (!token) return;
-      const response = await fetch('/api/saves', {
+      // The list is paged, follow nextCursor until the last page
+      const saves = [];
+      let cursor = null;
+      do {
+        const query = cursor ? `?limit=100&cursor=${encodeURIComponent(cursor)}` : '?limit=100';
+        const response = await fetch(`/api/saves${query}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) return;
+        const page = await response.json();
+        saves.push(...page.saves);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      this.setState({ onlineSaves: saves });
+    } catch (error) {
+      console.error('Failed to load online saves:', error);
+    }
+  }
+
+  findOnlineSave(name) {
+    const info = this.state.save_names && this.state.save_names[name];
+    return info && this.state.onlineSaves.find(save => save.characterName === info.name);
+  }
+
+  // Uploads a local save. The ETag of the cloud copy we last saw goes in
+  // If-Match, so the server refuses the upload if another device changed it;
+  // pass etag = null to upload only if there is no cloud copy at all.
+  uploadSave = async (name, etag) => {
+    try {
+      const token = localStorage.getItem('diabloAuthToken');
+      if (!token) return;
+      const fs = await this.fs;
+      const blob = await fs.blob(name);
+      if (!blob) return;
+
+      const online = this.findOnlineSave(name);
+      const ifMatch = etag !== undefined ? etag : (online && online.etag);
+      const response = await fetch(`/api/saves?fileName=${encodeURIComponent(name)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/octet-stream',
+          ...(ifMatch ? { 'If-Match': ifMatch } : { 'If-None-Match': '*' }),
+        },
+        body: blob,
+      });
+
+      if (response.status === 409) {
+        const { current, incoming } = await response.json();
+        this.setState({ saveConflict: { name, current, incoming } });
+      } else if (response.ok) {
+        this.loadOnlineSaves();
+      } else {
+        const { error } = await response.json();
+        window.alert(`Failed to upload ${name}: ${error}`);
+      }
+    } catch (error) {
+      console.error('Failed to upload save:', error);
+    }
+  }
+
+  keepLocalSave = () => {
+    const { name, current } = this.state.saveConflict;
+    this.setState({ saveConflict: null });
+    this.uploadSave(name, current ? current.etag : null);
+  }
+
+  keepCloudSave = async () => {
+    const { name, current } = this.state.saveConflict;
+    this.setState({ saveConflict: null });
+    if (!current) return;
+    try {
+      const token = localStorage.getItem('diabloAuthToken');
+      const response = await fetch(`/api/saves/${current.id}`, {
         headers: { 'Authorization': `Bearer ${token}` }
       });
-      
+      if (!response.ok) return;
+      const data = new Uint8Array(await response.arrayBuffer());
+      const fs = await this.fs;
+      fs.files.set(name.toLowerCase(), data);
+      await fs.update(name.toLowerCase(), data);
+      this.updateSaves();
+      this.loadOnlineSaves();
+    } catch (error) {
+      console.error('Failed to download save:', error);
+    }
+  }
+
+  setLeaderboard = async (save, enabled) => {
+    try {
+      const token = localStorage.getItem('diabloAuthToken');
+      const response = await fetch(`/api/saves/${save.id}/leaderboard`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ enabled }),
+      });
       if (response.ok) {
-        const saves = await response.json();
-        this.setState({ onlineSaves: saves });
+        const { save: updated } = await response.json();
+        this.setState({ onlineSaves: this.state.onlineSaves.map(s => s.id === updated.id ? updated : s) });
+      } else {
+        const { error } = await response.json();
+        window.alert(`Could not update the leaderboard: ${error}`);
       }
     } catch (error) {
-      console.error('Failed to load online saves:', error);
+      console.error('Failed to update leaderboard setting:', error);
+    }
+  }
+
+  exportSaves = async () => {
+    try {
+      const token = localStorage.getItem('diabloAuthToken');
+      const response = await fetch('/api/saves/export', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return;
+      const url = URL.createObjectURL(await response.blob());
+      const lnk = document.createElement('a');
+      lnk.setAttribute('href', url);
+      lnk.setAttribute('download', 'diablo-saves.zip');
+      document.body.appendChild(lnk);
+      lnk.click();
+      document.body.removeChild(lnk);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export saves:', error);
+    }
+  }
+
+  importArchive = async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const token = localStorage.getItem('diabloAuthToken');
+      const response = await fetch('/api/saves/import', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/zip' },
+        body: file,
+      });
+      const result = await response.json();
+      if (result.imported) {
+        const failed = result.failed.map(({file, error}) => `\n${file}: ${error}`).join('');
+        window.alert(`Imported ${result.imported.length} save(s).${failed && `\nSkipped:${failed}`}`);
+        this.loadOnlineSaves();
+      } else {
+        window.alert(`Import failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Failed to import saves:', error);
     }
   }
 
@@ -322,7 +506,11 @@ class App extends React.Component {
   // Multiplayer
   toggleMultiplayerLobby = () => {
     if (!this.state.user) {
-      this.setState({ showAuthModal: true });
+      if (this.state.authConfig.password) {
+        this.setState({ showAuthModal: true });
+      } else {
+        this.handleGoogleLogin();
+      }
       return;
     }
     this.setState(prevState => ({ 
@@ -331,20 +519,26 @@ class App extends React.Component {
   }
 
   handleCreateRoom = (room) => {
-    console.log('Room created:', room);
-    // TODO: Implementar criação de sala via WebRTC
-    this.setState({ showMultiplayerLobby: false });
+    this.playRoom(room, true);
   }
 
   handleJoinRoom = (room) => {
-    console.log('Joined room:', room);
-    // TODO: Implementar junção à sala via WebRTC
-    this.setState({ showMultiplayerLobby: false });
+    this.playRoom(room, false);
   }
 
-  handleInviteFriend = () => {
-    // TODO: Implementar convite de amigos
-    console.log('Invite friend clicked');
+  // The game started next creates (host) or joins the room's game. Matched
+  // rooms come with the game's credentials; other rooms use their name.
+  playRoom(room, isHost) {
+    if (room.id && this.state.user) {
+      joinRoomChannel(room.id);
+    }
+    const game = room.game || { name: room.name, password: '', difficulty: room.difficulty };
+    this.roomGame = { ...game, isHost };
+    this.setState({ showMultiplayerLobby: false });
+    // The retail game needs the player's MPQ, shareware can start right away
+    if (room.edition === 'shareware' && !this.state.started && !this.state.loading) {
+      this.start();
+    }
   }
 
   // ... (restante dos métodos existentes: onDrop, onDragOver, etc.)
@@ -538,7 +732,7 @@ class App extends React.Component {
 
     this.setState({loading: true, retail});
 
-    load_game(this, file, !retail).then(game => {
+    load_game(this, file, !retail, this.roomGame).then(game => {
       this.game = game;
 
       document.addEventListener('mousemove', this.onMouseMove, true);
@@ -895,16 +1089,19 @@ class App extends React.Component {
   }
 
   renderUi() {
-    const { started, loading, error, progress, has_spawn, save_names, show_saves, compress, user, isOnline } = this.state;
+    const { started, loading, error, progress, has_spawn, save_names, show_saves, compress, user, isOnline, saveConflict, showLeaderboard, authConfig } = this.state;
     
-    if (show_saves && typeof save_names === "object") {
-      const plrClass = ["Warrior", "Rogue", "Sorcerer"];
+    if (showLeaderboard && !started) {
+      return (
+        <Leaderboard onClose={() => this.setState({ showLeaderboard: false })}/>
+      );
+    } else if (show_saves && typeof save_names === "object") {
       return (
         <div className="start">
           <div className="user-info">
             {user && (
               <div className="user-badge">
-                <img src={user.photoURL} alt="avatar" style={{width: 24, height: 24, borderRadius: '50%'}} />
+                {user.photoURL && <img src={user.photoURL} alt="avatar" style={{width: 24, height: 24, borderRadius: '50%'}} />}
                 <span>{user.displayName}</span>
                 {isOnline && <span className="online-indicator">Online</span>}
               </div>
@@ -914,7 +1111,8 @@ class App extends React.Component {
           <h3>Local Saves</h3>
           <ul className="saveList">
             {Object.entries(save_names).map(([name, info]) => <li key={name}>
-              {name}{info ? <span className="info">{info.name} (lv. {info.level} {plrClass[info.cls]})</span> : ""}
+              {name}{info ? <span className="info">{info.name} (lv. {info.level} {HeroClasses[info.cls]})</span> : ""}
+              {isOnline && info && <FontAwesomeIcon className="btnDownload" icon={faUpload} title="Upload to cloud" onClick={() => this.uploadSave(name)}/>}
               <FontAwesomeIcon className="btnDownload" icon={faDownload} onClick={() => this.downloadSave(name)}/>
               <FontAwesomeIcon className="btnRemove" icon={faTimes} onClick={() => this.removeSave(name)}/>
             </li>)}
@@ -925,19 +1123,47 @@ class App extends React.Component {
               <h3>Online Saves</h3>
               <ul className="saveList">
                 {this.state.onlineSaves.map(save => (
-                  <li key={save._id}>
+                  <li key={save.id}>
                     {save.characterName} <span className="info">(lv. {save.level} {save.characterClass})</span>
                     <span className="info">{new Date(save.lastSaved).toLocaleDateString()}</span>
+                    <FontAwesomeIcon
+                      className={save.leaderboard ? "btnLeaderboard active" : "btnLeaderboard"}
+                      icon={faTrophy}
+                      title={save.leaderboard ? "Shown on the leaderboard, click to hide" : "Click to show on the leaderboard"}
+                      onClick={() => this.setLeaderboard(save, !save.leaderboard)}/>
                   </li>
                 ))}
               </ul>
             </>
           )}
 
+          {saveConflict && (
+            <div className="saveConflict">
+              <p>
+                The cloud copy of {saveConflict.incoming.characterName} was changed on another device.
+              </p>
+              <p>
+                Local: lv. {saveConflict.incoming.level}
+                {saveConflict.current && <> &mdash; Cloud: lv. {saveConflict.current.level}, saved {new Date(saveConflict.current.lastSaved).toLocaleString()}</>}
+              </p>
+              <div className="startButton" onClick={this.keepLocalSave}>Keep Local</div>
+              {saveConflict.current && <div className="startButton" onClick={this.keepCloudSave}>Keep Cloud</div>}
+            </div>
+          )}
+
           <form>
             <label htmlFor="loadFile" className="startButton">Upload Save</label>
             <input accept=".sv" type="file" id="loadFile" style={{display: "none"}} onChange={this.parseSave}/>
           </form>
+          {isOnline && (
+            <>
+              <div className="startButton" onClick={this.exportSaves}>Export All</div>
+              <form>
+                <label htmlFor="importArchive" className="startButton">Import Archive</label>
+                <input accept=".zip" type="file" id="importArchive" style={{display: "none"}} onChange={this.importArchive}/>
+              </form>
+            </>
+          )}
           <div className="startButton" onClick={() => this.setState({show_saves: false})}>Back</div>
         </div>
       );
@@ -969,16 +1195,25 @@ class App extends React.Component {
           <div className="user-info">
             {user ? (
               <div className="user-badge">
-                <img src={user.photoURL} alt="avatar" style={{width: 24, height: 24, borderRadius: '50%'}} />
+                {user.photoURL && <img src={user.photoURL} alt="avatar" style={{width: 24, height: 24, borderRadius: '50%'}} />}
                 <span>{user.displayName}</span>
                 {isOnline && <span className="online-indicator">Online</span>}
                 <button className="logout-btn" onClick={this.handleLogout}>Logout</button>
               </div>
             ) : (
-              <button className="auth-btn" onClick={this.handleGoogleLogin}>
-                <FontAwesomeIcon icon={faGoogleBrand} />
-                Sign in with Google
-              </button>
+              <>
+                {authConfig.google && (
+                  <button className="auth-btn" onClick={this.handleGoogleLogin}>
+                    <FontAwesomeIcon icon={faGoogleBrand} />
+                    Sign in with Google
+                  </button>
+                )}
+                {authConfig.password && (
+                  <button className="auth-btn" onClick={() => this.setState({ showAuthModal: true })}>
+                    Sign in with password
+                  </button>
+                )}
+              </>
             )}
           </div>
 
@@ -1009,6 +1244,11 @@ class App extends React.Component {
             Multiplayer
           </div>
 
+          <div className="startButton" onClick={() => this.setState({ showLeaderboard: true })}>
+            <FontAwesomeIcon icon={faTrophy} style={{marginRight: '8px'}}/>
+            Leaderboard
+          </div>
+
           {/* Botão Configurações */}
           <div className="startButton" onClick={() => alert('Settings coming soon!')}>
             <FontAwesomeIcon icon={faCog} style={{marginRight: '8px'}}/>
@@ -1020,7 +1260,7 @@ class App extends React.Component {
   }
 
   render() {
-    const { started, error, dropping, isMobile, showMultiplayerLobby } = this.state;
+    const { started, error, dropping, isMobile, showMultiplayerLobby, showAuthModal } = this.state;
     
     return (
       <div className={classNames("App", { 
@@ -1047,7 +1287,13 @@ class App extends React.Component {
           onClose={this.toggleMultiplayerLobby}
           onCreateRoom={this.handleCreateRoom}
           onJoinRoom={this.handleJoinRoom}
-          onInviteFriend={this.handleInviteFriend}
+        />
+
+        <AuthModal
+          visible={showAuthModal}
+          onClose={() => this.setState({ showAuthModal: false })}
+          onLogin={this.handlePasswordLogin}
+          onRegister={this.handleRegister}
         />
 
         {/* UI de toque existente */}
@@ -5,6 +5,7 @@ import SpawnModule from './DiabloSpawn.jscc';
 import axios from 'axios';
 
 import websocket_open from './websocket';
+import { buffer_reader, read_packet, write_packet, client_packet } from './packet';
 
 const DiabloSize = 1466809;
 const SpawnSize = 1337416;
@@ -19,6 +20,27 @@ let renderBatch = null;
 let drawBelt = null;
 let is_spawn = false;
 let websocket = null;
+// Set when the game is started for a lobby room: the first game the player
+// creates (as the room's host) or joins from the game's menu is the room's
+// game, whatever name and password were typed in
+let roomGame = null;
+// The game server is built into our backend, next to the REST API, which
+// may be on another host than the page
+const apiUrl = new URL(process.env.REACT_APP_API_URL || '/', worker.location.href);
+const websocketUrl = process.env.REACT_APP_WEBSOCKET_URL ||
+  `${apiUrl.protocol === 'https:' ? 'wss' : 'ws'}://${apiUrl.host}/websocket`;
+
+// The page asks the server for join tickets (see src/socket.js), as the game
+// server only lets signed-in players into games of signed-in hosts
+let ticketRequests = [];
+function requestJoinTicket() {
+  return new Promise(resolve => {
+    ticketRequests.push(resolve);
+    worker.postMessage({action: "joinTicket"});
+  });
+}
+const gameServerUrl = () => requestJoinTicket().then(ticket =>
+  ticket ? `${websocketUrl}?ticket=${encodeURIComponent(ticket)}` : websocketUrl);
 
 function onError(err, action="error") {
   if (err instanceof Error) {
@@ -130,7 +152,7 @@ const DApi = {
   use_websocket(flag) {
     if (flag) {
       if (!websocket || websocket.readyState !== 1) {
-        const sock = websocket = websocket_open('wss://diablo.rivsoft.net/websocket', data => {
+        const sock = websocket = websocket_open(gameServerUrl(), data => {
           if (websocket === sock) {
             try_api(() => {
               const ptr = wasm._DApi_AllocPacket(data.byteLength);
@@ -270,8 +292,25 @@ let maxSoundId = 0, maxBatchId = 0;
   }
 });
 
+function applyRoomGame(data) {
+  const {type, packet} = read_packet(new buffer_reader(data), client_packet);
+  const {name, password, difficulty, isHost} = roomGame;
+  if (type === client_packet.create_game && isHost) {
+    roomGame = null;
+    return new Uint8Array(write_packet(type, {...packet, name, password, difficulty: difficulty != null ? difficulty : packet.difficulty}));
+  }
+  if (type === client_packet.join_game && !isHost) {
+    roomGame = null;
+    return new Uint8Array(write_packet(type, {...packet, name, password}));
+  }
+  return data;
+}
+
 let packetBatch = null;
 DApi.websocket_send = function(data) {
+  if (roomGame && (data[0] === client_packet.create_game.code || data[0] === client_packet.join_game.code)) {
+    data = applyRoomGame(data);
+  }
   if (websocket) {
     websocket.send(data);
   } else if (packetBatch) {
@@ -415,6 +454,7 @@ worker.addEventListener("message", ({data}) => {
   switch (data.action) {
   case "init":
     files = data.files;
+    roomGame = data.roomGame || null;
     init_game(data.mpq, data.spawn, data.offscreen).then(
       () => worker.postMessage({action: "loaded"}),
       e => onError(e, "failed"));
@@ -428,6 +468,9 @@ worker.addEventListener("message", ({data}) => {
       wasm.HEAPU8.set(new Uint8Array(data.buffer), ptr);
     });
     break;
+  case "joinTicket":
+    ticketRequests.shift()(data.ticket);
+    break;
   case "packetBatch":
     try_api(() => {
       for (let packet of data.batch) {
@@ -2,6 +2,7 @@ import Worker from './game.worker.js';
 import init_sound from './sound';
 import load_spawn from './load_spawn';
 import webrtc_open from './webrtc';
+import { requestJoinTicket } from '../socket';
 
 function onRender(api, ctx, {bitmap, images, text, clip, belt}) {
   if (bitmap) {
@@ -50,7 +51,7 @@ function testOffscreen() {
   }*/
 }
 
-async function do_load_game(api, audio, mpq, spawn) {
+async function do_load_game(api, audio, mpq, spawn, roomGame) {
   const fs = await api.fs;
   if (spawn && !mpq) {
     await load_spawn(api, fs);
@@ -91,6 +92,9 @@ async function do_load_game(api, audio, mpq, spawn) {
         case "fs":
           fs[data.func](...data.params);
           break;
+        case "joinTicket":
+          requestJoinTicket().catch(() => null).then(ticket => worker.postMessage({action: "joinTicket", ticket}));
+          break;
         case "cursor":
           api.setCursorPos(data.x, data.y);
           break;
@@ -128,7 +132,7 @@ async function do_load_game(api, audio, mpq, spawn) {
       for (let [, file] of fs.files) {
         transfer.push(file.buffer);
       }
-      worker.postMessage({action: "init", files: fs.files, mpq, spawn, offscreen}, transfer);
+      worker.postMessage({action: "init", files: fs.files, mpq, spawn, offscreen, roomGame}, transfer);
       setInterval(() => {
         if (packetQueue.length) {
           worker.postMessage({action: "packetBatch", batch: packetQueue}, packetQueue);
@@ -142,7 +146,8 @@ async function do_load_game(api, audio, mpq, spawn) {
   });
 }
 
-export default function load_game(api, mpq, spawn) {
+// roomGame is the lobby room's game, see game.worker.js
+export default function load_game(api, mpq, spawn, roomGame) {
   const audio = init_sound();
-  return do_load_game(api, audio, mpq, spawn);
+  return do_load_game(api, audio, mpq, spawn, roomGame);
 }
@@ -105,6 +105,11 @@ export const RejectionReason = {
   JOIN_VERSION_MISMATCH: 0x04,
   JOIN_GAME_FULL: 0x05,
   CREATE_GAME_EXISTS: 0x06,
+  // Ours, for players a lobby room's host turns away (see webrtc.js). The
+  // game does not know them and shows "Unknown error".
+  JOIN_SIGN_IN_REQUIRED: 0x07,
+  JOIN_BANNED: 0x08,
+  JOIN_NOT_VERIFIED: 0x09,
 };
 
 export function read_packet(reader, types) {
@@ -260,5 +265,5 @@ export const client_packet = {
     size: 4,
     write: (writer, {turn}) => writer.write32(turn),
   },
-  batch: make_batch(() => server_packet),
+  batch: make_batch(() => client_packet),
 };
@@ -0,0 +1,122 @@
+import { getSocket } from '../socket';
+
+const RELAY_TIMEOUT = 5000;
+
+const links = new Map();
+let listening = false;
+
+function listen(socket) {
+  if (listening) {
+    return;
+  }
+  listening = true;
+  socket.on('relay-data', (linkId, data) => {
+    const conn = links.get(linkId);
+    if (conn) {
+      conn.emit('data', data);
+    }
+  });
+  socket.on('relay-close', linkId => {
+    const conn = links.get(linkId);
+    if (conn) {
+      conn.closed();
+    }
+  });
+  socket.on('disconnect', () => {
+    for (let conn of [...links.values()]) {
+      conn.closed();
+    }
+  });
+}
+
+// Mimics the parts of a PeerJS DataConnection that webrtc.js uses, so a
+// relayed player looks just like a peer-to-peer one.
+class relay_connection {
+  handlers = {};
+
+  constructor(socket, linkId, metadata = {}) {
+    this.socket = socket;
+    this.linkId = linkId;
+    this.metadata = metadata;
+    this.open = true;
+    links.set(linkId, this);
+  }
+
+  on(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+  }
+  off(event, handler) {
+    this.handlers[event] = (this.handlers[event] || []).filter(h => h !== handler);
+  }
+  emit(event, ...args) {
+    for (let handler of (this.handlers[event] || []).slice()) {
+      handler(...args);
+    }
+  }
+
+  send(data) {
+    if (this.open) {
+      // the caller may transfer the buffer to the worker right after this
+      this.socket.emit('relay-data', this.linkId, data.slice(0));
+    }
+  }
+  close() {
+    if (this.open) {
+      this.socket.emit('relay-close', this.linkId);
+      this.closed();
+    }
+  }
+  closed() {
+    if (this.open) {
+      this.open = false;
+      links.delete(this.linkId);
+      this.emit('close');
+    }
+  }
+}
+
+// Lets players that cannot reach us peer-to-peer join our game through the
+// server. Calls onConnection with a connection for each of them.
+export function relay_host(name, onConnection) {
+  const socket = getSocket();
+  listen(socket);
+  const register = () => socket.emit('relay-host', name);
+  // the server tells us the user behind each link
+  const onRelayConnection = (linkId, uid) => onConnection(new relay_connection(socket, linkId, {uid}));
+  socket.on('connect', register);
+  socket.on('relay-connection', onRelayConnection);
+  if (socket.connected) {
+    register();
+  }
+  return {
+    close() {
+      socket.off('connect', register);
+      socket.off('relay-connection', onRelayConnection);
+      socket.emit('relay-unhost', name);
+    },
+  };
+}
+
+export function relay_connect(name) {
+  const socket = getSocket();
+  listen(socket);
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      reject(Error('relay timed out'));
+    }, RELAY_TIMEOUT);
+    socket.emit('relay-connect', name, response => {
+      clearTimeout(timeout);
+      if (timedOut) {
+        if (response && response.linkId) {
+          socket.emit('relay-close', response.linkId);
+        }
+      } else if (response && response.linkId) {
+        resolve(new relay_connection(socket, response.linkId));
+      } else {
+        reject(Error(response ? response.error : 'relay unavailable'));
+      }
+    });
+  });
+}
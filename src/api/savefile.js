@@ -1,5 +1,7 @@
-import { explode } from './explode';
-import codec_decode from './codec';
+// Also loaded by the backend (server/saves/parse.js) as a native ES module,
+// so relative imports need their file extensions.
+import { explode } from './explode.js';
+import codec_decode from './codec.js';
 
 function pkzip_decompress(data, out_size) {
   if (data.length === out_size) {
@@ -11,7 +13,7 @@ function pkzip_decompress(data, out_size) {
   let out_pos = 0;
   function read_buf(dst) {
     const count = Math.min(data.length - in_pos, dst.length);
-    dst.set(data.subarray(in_pos, count));
+    dst.set(data.subarray(in_pos, in_pos + count));
     in_pos += count;
     return count;
   }
@@ -233,6 +235,12 @@ export class MpqReader {
   }
 }
 
+const Passwords = [
+  {password: 'xrgyrkj1', spawn: false},
+  {password: 'lshbkfg1', spawn: true},
+  {password: 'szqnlsk1', spawn: false},
+];
+
 function getPassword(name) {
   if (name.match(/spawn\d+\.sv/i)) {
     return 'lshbkfg1'; // single, spawn
@@ -245,15 +253,42 @@ function getPassword(name) {
   }
 }
 
+export const HeroClasses = ['Warrior', 'Rogue', 'Sorcerer'];
+
+function decodeHero(hero) {
+  const nameEnd = hero.indexOf(0, 16);
+  if (nameEnd < 0 || nameEnd > 48 || hero.length <= 53) {
+    throw Error('invalid hero record');
+  }
+  return {
+    name: String.fromCharCode(...hero.subarray(16, nameEnd)),
+    cls: hero[48],
+    level: hero[53],
+  };
+}
+
+// Reads the hero record of a save. If the file name is not known, every save
+// password is tried; codec_decode verifies a checksum, so only the right one
+// succeeds. Throws if the file is not a valid save.
+export function readHero(data, name) {
+  const reader = new MpqReader(data);
+  const raw = reader.read("hero");
+  if (!raw) {
+    throw Error('hero record not found');
+  }
+  const candidates = name ? Passwords.filter(({password}) => password === getPassword(name)) : Passwords;
+  for (let {password, spawn} of candidates) {
+    const hero = codec_decode(raw, password);
+    if (hero) {
+      return {...decodeHero(hero), spawn};
+    }
+  }
+  throw Error('failed to decode hero record');
+}
+
 export default function getPlayerName(data, name) {
   try {
-    const reader = new MpqReader(data);
-    const hero = codec_decode(reader.read("hero"), getPassword(name));
-    const nameEnd = hero.indexOf(0, 16);
-    const result = {};
-    result.name = String.fromCharCode(...hero.subarray(16, nameEnd));
-    result.cls = hero[48];
-    result.level = hero[53];
+    const {spawn, ...result} = readHero(data, name);
     return result;
   } catch (e) {
     return null;
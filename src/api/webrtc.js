@@ -1,5 +1,7 @@
 import Peer from 'peerjs';
 import { buffer_reader, read_packet, write_packet, client_packet, server_packet, RejectionReason } from './packet';
+import { relay_host, relay_connect } from './relay';
+import { currentSocket, requestJoinTicket, verifyJoinTicket } from '../socket';
 
 /*function log_packet(data, type) {
   const reader = new buffer_reader(data);
@@ -14,6 +16,14 @@ import { buffer_reader, read_packet, write_packet, client_packet, server_packet,
 const PeerID = name => `diabloweb_dDv62yHQrZJP28tBEHL_${name}`;
 const Options = {port: 443, secure: true};
 const MAX_PLRS = 4;
+const LEAVE_DROP = 0x40000006;
+
+// The game only has messages for its own rejection reasons
+const RejectionMessages = {
+  [RejectionReason.JOIN_SIGN_IN_REQUIRED]: 'Sign in to join this game.',
+  [RejectionReason.JOIN_BANNED]: 'You are banned from this game.',
+  [RejectionReason.JOIN_NOT_VERIFIED]: 'The server could not confirm who you are. Try joining again.',
+};
 
 class webrtc_server {
   constructor(version, {cookie, name, password, difficulty}, onMessage, onClose) {
@@ -25,14 +35,33 @@ class webrtc_server {
     this.onClose = onClose;
 
     this.peer = new Peer(PeerID(name), Options);
-    this.peer.on('connection', conn => this.onConnect(conn));
+    this.peer.on('connection', conn => this.onConnect(conn, null));
     this.players = [];
     this.myplr = 0;
 
     this.seed = Math.floor(Math.random() * Math.pow(2, 32));
 
+    // Signed out there is no server to tell us who connects, nor a room to
+    // moderate, so anyone with the password gets in
+    this.socket = currentSocket();
+    // players the room host kicks are dropped from the game as well, and
+    // banned ones kept out of it
+    this.banned = new Set();
+    this.onKicked = ({userId, banned}) => {
+      if (banned) {
+        this.banned.add(userId);
+      }
+      this.kick(userId);
+    };
+    if (this.socket) {
+      this.socket.on('player-kicked', this.onKicked);
+    }
+
     const onError = () => {
       onMessage(write_packet(server_packet.join_reject, {cookie, reason: RejectionReason.CREATE_GAME_EXISTS}));
+      if (this.socket) {
+        this.socket.off('player-kicked', this.onKicked);
+      }
       onClose();
       this.peer.off('error', onError);
       this.peer.off('open', onOpen);
@@ -43,6 +72,11 @@ class webrtc_server {
         onMessage(write_packet(server_packet.join_accept, {cookie, index: 0, seed: this.seed, difficulty}));
         onMessage(write_packet(server_packet.connect, {id: 0}));
       }, 0);
+      // players that cannot reach us directly come in through the server,
+      // which tells us who they are
+      if (this.socket) {
+        this.relay = relay_host(name, conn => this.onConnect(conn, conn.metadata.uid));
+      }
       this.peer.off('error', onError);
       this.peer.off('open', onOpen);
     };
@@ -52,10 +86,10 @@ class webrtc_server {
     //this.peer.on('error', err => console.log('peer error:', err));
   }
 
-  onConnect(conn) {
+  onConnect(conn, uid) {
     //conn.on('error', err => console.log('conn error:', err));
     //console.log('conn open');
-    const peer = {conn};
+    const peer = {conn, uid};
     conn.on('data', packet => {
       const reader = new buffer_reader(packet);
       const {type, packet: pkt} = read_packet(reader, client_packet);
@@ -70,19 +104,19 @@ class webrtc_server {
           conn.send(write_packet(server_packet.join_reject, {cookie: pkt.cookie, reason: RejectionReason.JOIN_GAME_NOT_FOUND}));
         } else if (pkt.password !== this.password) {
           conn.send(write_packet(server_packet.join_reject, {cookie: pkt.cookie, reason: RejectionReason.JOIN_INCORRECT_PASSWORD}));
-        } else {
-          let i = 1;
-          while (i < MAX_PLRS && this.players[i]) {
-            ++i;
-          }
-          if (i >= MAX_PLRS) {
-            conn.send(write_packet(server_packet.join_reject, {cookie: pkt.cookie, reason: RejectionReason.JOIN_GAME_FULL}));            
-          } else {
-            this.players[i] = peer;
-            peer.id = i;
-            conn.send(write_packet(server_packet.join_accept, {cookie: pkt.cookie, index: i, seed: this.seed, difficulty: this.difficulty}));
-            this.send(0xFF, write_packet(server_packet.connect, {id: i}));
-          }
+        } else if (peer.id == null && !peer.joining) {
+          peer.joining = true;
+          this.identify(peer).then(reason => {
+            peer.joining = false;
+            if (peer.closed) {
+              return;
+            }
+            if (reason != null) {
+              conn.send(write_packet(server_packet.join_reject, {cookie: pkt.cookie, reason}));
+              return;
+            }
+            this.seat(peer, pkt.cookie);
+          });
         }
         break;
       default:
@@ -98,12 +132,56 @@ class webrtc_server {
     });
     conn.on('close', () => {
       //console.log('conn close');
+      peer.closed = true;
       if (peer.id != null) {
-        this.drop(peer.id, 0x40000006);
+        this.drop(peer.id, LEAVE_DROP);
       }
     });
   }
 
+  // Direct peers prove who they are with a join ticket from the server (see
+  // server/multiplayer/tickets.js); relayed ones are known already. Resolves
+  // to the reason to turn the peer away, or null to let them in. Signed-out
+  // players have no ticket, so they cannot join a signed-in host, who could
+  // not keep them out if banned.
+  identify(peer) {
+    if (!this.socket) {
+      return Promise.resolve(null);
+    }
+    const ticket = peer.conn.metadata && peer.conn.metadata.ticket;
+    if (!peer.uid && !ticket) {
+      return Promise.resolve(RejectionReason.JOIN_SIGN_IN_REQUIRED);
+    }
+    const uid = peer.uid ? Promise.resolve(peer.uid) : verifyJoinTicket(ticket);
+    return uid.then(uid => {
+      peer.uid = uid;
+      return this.banned.has(uid) ? RejectionReason.JOIN_BANNED : null;
+    }, error => error.code === 'BANNED' ? RejectionReason.JOIN_BANNED : RejectionReason.JOIN_NOT_VERIFIED);
+  }
+
+  seat(peer, cookie) {
+    let i = 1;
+    while (i < MAX_PLRS && this.players[i]) {
+      ++i;
+    }
+    if (i >= MAX_PLRS) {
+      peer.conn.send(write_packet(server_packet.join_reject, {cookie, reason: RejectionReason.JOIN_GAME_FULL}));
+    } else {
+      this.players[i] = peer;
+      peer.id = i;
+      peer.conn.send(write_packet(server_packet.join_accept, {cookie, index: i, seed: this.seed, difficulty: this.difficulty}));
+      this.send(0xFF, write_packet(server_packet.connect, {id: i}));
+    }
+  }
+
+  kick(uid) {
+    for (let i = 1; i < MAX_PLRS; ++i) {
+      if (this.players[i] && this.players[i].uid === uid) {
+        this.drop(i, LEAVE_DROP);
+      }
+    }
+  }
+
   send(mask, pkt) {
     for (let i = 1; i < MAX_PLRS; ++i) {
       if ((mask & (1 << i)) && this.players[i]) {
@@ -121,9 +199,15 @@ class webrtc_server {
   drop(id, reason) {
     if (id === 0) {
       for (let i = 1; i < MAX_PLRS; ++i) {
-        this.drop(i, 0x40000006);
+        this.drop(i, LEAVE_DROP);
+      }
+      if (this.socket) {
+        this.socket.off('player-kicked', this.onKicked);
       }
       this.onMessage(write_packet(server_packet.disconnect, {id, reason}));
+      if (this.relay) {
+        this.relay.close();
+      }
       this.peer.destroy();
       this.onClose();
     } else if (this.players[id]) {
@@ -159,9 +243,28 @@ class webrtc_server {
 class webrtc_client {
   pending = [];
 
-  constructor(version, {cookie, name, password}, onMessage, onClose) {
+  constructor(version, game, onMessage, onClose) {
+    this.onMessage = onMessage;
+    this.onClose = onClose;
     this.peer = new Peer(Options);
-    this.conn = this.peer.connect(PeerID(name));
+    // the host lets us in once the server vouches for the ticket. Without one
+    // (signed out, or the server did not answer) we still try, as hosts that
+    // are signed out let anyone in; the others tell us why they will not.
+    requestJoinTicket().catch(() => null).then(ticket => this.connect(version, game, ticket));
+  }
+
+  connect(version, {cookie, name, password}, ticket) {
+    const {onMessage, onClose} = this;
+    const conn = this.peer.connect(PeerID(name), {metadata: {ticket}});
+
+    const greet = conn => {
+      conn.send(write_packet(client_packet.info, {version}));
+      conn.send(write_packet(client_packet.join_game, {cookie, name, password}));
+      for (let pkt of this.pending || []) {
+        conn.send(pkt);
+      }
+      this.pending = null;
+    };
 
     let needUnreg = true;
     const unreg = () => {
@@ -170,34 +273,45 @@ class webrtc_client {
       }
       needUnreg = false;
       this.peer.off('error', onError);
-      this.conn.off('error', onError);
-      this.conn.off('open', onOpen);
+      conn.off('error', onError);
+      conn.off('open', onOpen);
       clearTimeout(timeout);
     };
+    // The peer-to-peer connection failed or timed out, e.g. behind a symmetric
+    // NAT, so tunnel the same packets through our server instead
     const onError = () => {
-      onMessage(write_packet(server_packet.join_reject, {cookie, reason: RejectionReason.JOIN_GAME_NOT_FOUND}));
-      onClose();
       unreg();
+      conn.removeAllListeners();
+      this.peer.destroy();
+      relay_connect(name).then(relay => {
+        this.listen(relay);
+        greet(relay);
+      }, () => {
+        onMessage(write_packet(server_packet.join_reject, {cookie, reason: RejectionReason.JOIN_GAME_NOT_FOUND}));
+        onClose();
+      });
     };
     const onOpen = () => {
-      this.conn.send(write_packet(client_packet.info, {version}));
-      this.conn.send(write_packet(client_packet.join_game, {cookie, name, password}));
-      for (let pkt of this.pending) {
-        this.conn.send(pkt);
-      }
-      this.pending = null;
-      this.conn.off('open', onOpen);
+      greet(conn);
+      conn.off('open', onOpen);
     };
     const timeout = setTimeout(onError, 10000);
     this.peer.on('error', onError);
-    this.conn.on('error', onError);
-    this.conn.on('open', onOpen);
+    conn.on('error', onError);
+    conn.on('open', onOpen);
 
     //this.peer.on('error', err => console.log('peer error:', err));
     //this.conn.on('error', err => console.log('conn error:', err));
 
-    this.conn.on('data', data => {
-      unreg();
+    this.listen(conn, unreg);
+  }
+
+  listen(conn, onData) {
+    this.conn = conn;
+    conn.on('data', data => {
+      if (onData) {
+        onData();
+      }
       const reader = new buffer_reader(data);
       const {type, packet: pkt} = read_packet(reader, server_packet);
       switch (type.code) {
@@ -205,19 +319,22 @@ class webrtc_client {
         this.myplr = pkt.index;
         break;
       case server_packet.join_reject.code:
-        onClose();
+        if (RejectionMessages[pkt.reason]) {
+          window.alert(RejectionMessages[pkt.reason]);
+        }
+        this.onClose();
         break;
       case server_packet.disconnect.code:
         if (pkt.id === 'myplr') {
-          onClose();
+          this.onClose();
         }
         break;
       default:
       }
-      onMessage(data);
+      this.onMessage(data);
     });
-    this.conn.on('close', data => {
-      onClose();
+    conn.on('close', data => {
+      this.onClose();
     });
   }
 
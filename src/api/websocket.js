@@ -1,5 +1,6 @@
+// url may be a promise, e.g. while a join ticket is fetched for it
 async function do_websocket_open(url, handler) {
-  const socket = new WebSocket(url);
+  const socket = new WebSocket(await url);
   socket.binaryType = "arraybuffer";
   let versionCbk = null;
   socket.addEventListener("message", ({data}) => {
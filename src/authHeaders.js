@@ -0,0 +1,5 @@
+// Authorization header for our REST API, empty when logged out
+export default function authHeaders() {
+  const token = localStorage.getItem('diabloAuthToken');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
@@ -165,17 +165,6 @@ const AuthModal = ({ visible, onClose, onLogin, onRegister }) => {
             </button>
           </p>
         </div>
-
-        {/* Demo credentials info */}
-        {isLogin && (
-          <div className="demo-info">
-            <p>
-              <strong>Demo Account:</strong><br />
-              Username: <code>demo</code><br />
-              Password: <code>demo123</code>
-            </p>
-          </div>
-        )}
       </div>
     </div>
   );
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import authHeaders from '../authHeaders';
+import { getSocket } from '../socket';
+
+const statusText = (status) => {
+  switch (status && status.state) {
+    case 'room':
+      return `In room ${status.roomName}`;
+    case 'menu':
+      return 'Online';
+    default:
+      return 'Offline';
+  }
+};
+
+const FriendsPanel = ({ onJoinRoom, canJoin }) => {
+  const [friends, setFriends] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const loadFriends = useCallback(async () => {
+    try {
+      const response = await fetch('/api/friends', { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      setFriends(data.friends);
+      setIncoming(data.incoming);
+      setOutgoing(data.outgoing);
+    } catch (error) {
+      console.error('Failed to load friends:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFriends();
+
+    const socket = getSocket();
+    const onStatus = ({ userId, status }) => {
+      setFriends(list => list.map(friend => friend.userId === userId ? { ...friend, status } : friend));
+    };
+    socket.on('friend-status', onStatus);
+    socket.on('friend-request', loadFriends);
+    return () => {
+      socket.off('friend-status', onStatus);
+      socket.off('friend-request', loadFriends);
+    };
+  }, [loadFriends]);
+
+  const request = async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+      setMessage(response.ok ? null : data.error);
+      return response.ok ? data : null;
+    } catch (error) {
+      console.error('Friend request failed:', error);
+      setMessage('Request failed');
+      return null;
+    }
+  };
+
+  const handleAddFriend = async () => {
+    if (!email.trim()) return;
+    const result = await request('/api/friends/requests', 'POST', { email: email.trim() });
+    if (result) {
+      setEmail('');
+      // Whether the address has an account is only known once they accept
+      setMessage(result.status === 'accepted' ? `You are now friends with ${result.user.displayName}` : 'Friend request sent, if someone has this email');
+      loadFriends();
+    }
+  };
+
+  const handleAccept = async (userId) => {
+    if (await request(`/api/friends/requests/${userId}/accept`, 'POST')) {
+      loadFriends();
+    }
+  };
+
+  const handleDecline = async (userId) => {
+    if (await request(`/api/friends/requests/${userId}`, 'DELETE')) {
+      loadFriends();
+    }
+  };
+
+  const handleRemove = async (userId) => {
+    if (await request(`/api/friends/${userId}`, 'DELETE')) {
+      loadFriends();
+    }
+  };
+
+  return (
+    <div className="friends-panel">
+      <h3>Friends ({friends.length})</h3>
+
+      <div className="add-friend">
+        <input
+          type="email"
+          placeholder="Friend's email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="friend-input"
+        />
+        <button onClick={handleAddFriend} disabled={!email.trim()} className="add-btn">
+          Add
+        </button>
+      </div>
+      {message && <div className="friends-message">{message}</div>}
+
+      {incoming.map(user => (
+        <div key={user.userId} className="friend-item">
+          <div className="friend-info">
+            <span className="friend-name">{user.displayName}</span>
+            <span className="friend-status">Wants to be your friend</span>
+          </div>
+          <button onClick={() => handleAccept(user.userId)} className="join-btn">Accept</button>
+          <button onClick={() => handleDecline(user.userId)} className="remove-btn">×</button>
+        </div>
+      ))}
+
+      {friends.map(friend => (
+        <div key={friend.userId} className={`friend-item ${friend.status.state}`}>
+          <div className="friend-info">
+            <span className="friend-name">{friend.displayName}</span>
+            <span className="friend-status">{statusText(friend.status)}</span>
+          </div>
+          {friend.status.state === 'room' && (
+            <button
+              onClick={() => onJoinRoom(friend.status.roomId)}
+              disabled={!canJoin}
+              className="join-btn"
+            >
+              Join
+            </button>
+          )}
+          <button onClick={() => handleRemove(friend.userId)} className="remove-btn">×</button>
+        </div>
+      ))}
+
+      {outgoing.map(user => (
+        <div key={user.userId} className="friend-item">
+          <div className="friend-info">
+            <span className="friend-name">{user.displayName}</span>
+            <span className="friend-status">Request sent</span>
+          </div>
+          <button onClick={() => handleDecline(user.userId)} className="remove-btn">×</button>
+        </div>
+      ))}
+
+      {!friends.length && !incoming.length && !outgoing.length && (
+        <div className="no-friends">No friends yet</div>
+      )}
+    </div>
+  );
+};
+
+export default FriendsPanel;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import './Leaderboard.scss';
+
+const CLASSES = ['Warrior', 'Rogue', 'Sorcerer'];
+const EDITIONS = [
+  { value: '', label: 'All editions' },
+  { value: 'retail', label: 'Retail' },
+  { value: 'shareware', label: 'Shareware' },
+];
+
+const Leaderboard = ({ onClose }) => {
+  const [characterClass, setCharacterClass] = useState('');
+  const [edition, setEdition] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (characterClass) params.set('class', characterClass);
+    if (edition) params.set('edition', edition);
+
+    let cancelled = false;
+    setLoading(true);
+    fetch(`/api/leaderboard?${params}`)
+      .then(response => response.json())
+      .then(data => !cancelled && setEntries(data.entries || []))
+      .catch(error => console.error('Failed to load leaderboard:', error))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [characterClass, edition]);
+
+  return (
+    <div className="start leaderboard">
+      <h3>Leaderboard</h3>
+
+      <div className="leaderboard-tabs">
+        {['', ...CLASSES].map(cls => (
+          <span
+            key={cls}
+            className={cls === characterClass ? 'tab active' : 'tab'}
+            onClick={() => setCharacterClass(cls)}
+          >
+            {cls || 'Overall'}
+          </span>
+        ))}
+        <select value={edition} onChange={(e) => setEdition(e.target.value)}>
+          {EDITIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      <ol className="saveList">
+        {entries.map(entry => (
+          <li key={entry.rank}>
+            <span className="rank">{entry.rank}.</span>
+            {entry.characterName}
+            <span className="info">(lv. {entry.level} {entry.characterClass})</span>
+            <span className="info">{entry.player}</span>
+          </li>
+        ))}
+        {!loading && !entries.length && <li className="info">No characters yet</li>}
+      </ol>
+
+      <div className="startButton" onClick={onClose}>Back</div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { getSocket } from '../socket';
+
+export const DIFFICULTIES = ['Normal', 'Nightmare', 'Hell'];
+export const CLASSES = ['Warrior', 'Rogue', 'Sorcerer'];
+
+// Edition, class and level are picked in the lobby, for rooms and matches alike
+const MatchmakingPanel = ({ playerName, edition, characterClass, level, onMatch }) => {
+  const [difficulty, setDifficulty] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const criteria = { edition, difficulty, characterClass, level, playerName: playerName.trim() || undefined };
+
+  const enqueue = () => {
+    getSocket().emit('matchmaking-join', criteria, response => {
+      if (response && response.error) {
+        setSearching(false);
+        setMessage(response.error);
+      } else {
+        setMessage(`Searching... ${response.waiting} player(s) in queue`);
+      }
+    });
+  };
+
+  useEffect(() => {
+    if (!searching) return;
+
+    const socket = getSocket();
+    const onMatchFound = (match) => {
+      setSearching(false);
+      setMessage(null);
+      onMatch(match);
+    };
+    // We are out of the queue, the player may search again
+    const onMatchError = ({ error }) => {
+      setSearching(false);
+      setMessage(error);
+    };
+    // The queue does not survive a server restart, so queue again
+    socket.on('match-found', onMatchFound);
+    socket.on('matchmaking-error', onMatchError);
+    socket.on('connect', enqueue);
+    return () => {
+      socket.off('match-found', onMatchFound);
+      socket.off('matchmaking-error', onMatchError);
+      socket.off('connect', enqueue);
+    };
+  });
+
+  // Leave the queue when the lobby closes
+  useEffect(() => () => {
+    getSocket().emit('matchmaking-leave');
+  }, []);
+
+  const handleFind = () => {
+    setSearching(true);
+    enqueue();
+  };
+
+  const handleCancel = () => {
+    getSocket().emit('matchmaking-leave');
+    setSearching(false);
+    setMessage(null);
+  };
+
+  return (
+    <div className="matchmaking-panel">
+      <h3>Find Match</h3>
+      <div className="matchmaking-form">
+        <select value={difficulty} onChange={(e) => setDifficulty(Number(e.target.value))} disabled={searching}>
+          {DIFFICULTIES.map((name, i) => <option key={name} value={i}>{name}</option>)}
+        </select>
+        {searching ? (
+          <button onClick={handleCancel} className="cancel-btn">Cancel</button>
+        ) : (
+          <button onClick={handleFind} className="find-btn">Find Match</button>
+        )}
+      </div>
+      {message && <div className="matchmaking-message">{message}</div>}
+    </div>
+  );
+};
+
+export default MatchmakingPanel;
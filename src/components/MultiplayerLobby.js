@@ -1,12 +1,64 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import FriendsPanel from './FriendsPanel';
+import MatchmakingPanel, { DIFFICULTIES, CLASSES } from './MatchmakingPanel';
+import authHeaders from '../authHeaders';
 import './MultiplayerLobby.scss';
 
-const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, onClose }) => {
+const MAX_LEVEL = 50;
+
+const EDITIONS = { retail: 'Diablo', shareware: 'Shareware' };
+
+const clampLevel = (value) => Math.min(MAX_LEVEL, Math.max(1, parseInt(value, 10) || 1));
+
+const LevelInput = ({ value, onChange, title }) => (
+  <input
+    type="number"
+    min="1"
+    max={MAX_LEVEL}
+    value={value}
+    title={title}
+    onChange={(e) => onChange(clampLevel(e.target.value))}
+    className="level-input"
+  />
+);
+
+const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, visible, onClose }) => {
   const [rooms, setRooms] = useState([]);
   const [roomName, setRoomName] = useState('');
   const [playerName, setPlayerName] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [isJoining, setIsJoining] = useState(false);
+  const [showFriends, setShowFriends] = useState(false);
+  const [hideFull, setHideFull] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [edition, setEdition] = useState('retail');
+  const [characterClass, setCharacterClass] = useState('Warrior');
+  const [level, setLevel] = useState(1);
+  const [difficulty, setDifficulty] = useState(0);
+  const [minLevel, setMinLevel] = useState(1);
+  const [maxLevel, setMaxLevel] = useState(MAX_LEVEL);
+  const [error, setError] = useState(null);
+
+  // Without a cursor the list starts over, with one the next page is appended
+  const loadRooms = useCallback(async (cursor = null) => {
+    try {
+      const params = new URLSearchParams();
+      if (hideFull) params.set('freeSlots', '1');
+      if (cursor) params.set('cursor', cursor);
+      const response = await fetch(`/api/multiplayer/rooms?${params}`);
+      const data = await response.json();
+      setRooms(list => cursor ? [...list, ...(data.rooms || [])] : (data.rooms || []));
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.error('Failed to load rooms:', error);
+      // Fallback to mock data
+      setRooms([
+        { id: '1', name: 'Warriors Guild', players: [{}, {}, {}], maxPlayers: 4 },
+        { id: '2', name: 'Rogues Den', players: [{}], maxPlayers: 4 },
+        { id: '3', name: 'Mages Tower', players: [{}, {}, {}, {}], maxPlayers: 4 },
+      ]);
+    }
+  }, [hideFull]);
 
   useEffect(() => {
     if (visible) {
@@ -17,29 +69,13 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         setPlayerName(savedName);
       }
     }
-  }, [visible]);
-
-  const loadRooms = async () => {
-    try {
-      // TODO: Replace with actual API call
-      const response = await fetch('/api/multiplayer/rooms');
-      const data = await response.json();
-      setRooms(data.rooms || []);
-    } catch (error) {
-      console.error('Failed to load rooms:', error);
-      // Fallback to mock data
-      setRooms([
-        { id: '1', name: 'Warriors Guild', players: 3, maxPlayers: 4 },
-        { id: '2', name: 'Rogues Den', players: 1, maxPlayers: 4 },
-        { id: '3', name: 'Mages Tower', players: 4, maxPlayers: 4 },
-      ]);
-    }
-  };
+  }, [visible, loadRooms]);
 
   const handleCreateRoom = async () => {
     if (!roomName.trim() || !playerName.trim()) return;
 
     setIsCreating(true);
+    setError(null);
     try {
       localStorage.setItem('diabloPlayerName', playerName);
       
@@ -47,7 +83,14 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         name: roomName,
         playerName: playerName,
         maxPlayers: 4,
-        isPublic: true
+        isPublic: true,
+        characterClass,
+        level,
+        difficulty,
+        edition,
+        minLevel,
+        maxLevel,
+        gameVersion: process.env.VERSION,
       };
 
       // TODO: Replace with actual API call
@@ -55,12 +98,17 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify(roomData),
       });
 
       const room = await response.json();
-      
+      if (!response.ok) {
+        setError(room.error || 'Failed to create room');
+        return;
+      }
+
       if (onCreateRoom) {
         onCreateRoom(room);
       }
@@ -71,7 +119,7 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         onCreateRoom({
           id: 'mock-' + Date.now(),
           name: roomName,
-          players: 1,
+          players: [{}],
           maxPlayers: 4
         });
       }
@@ -84,12 +132,17 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
     if (!playerName.trim()) return;
 
     setIsJoining(true);
+    setError(null);
     try {
       localStorage.setItem('diabloPlayerName', playerName);
 
       const joinData = {
         roomId,
-        playerName
+        playerName,
+        characterClass,
+        level,
+        edition,
+        gameVersion: process.env.VERSION,
       };
 
       // TODO: Replace with actual API call
@@ -97,12 +150,18 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify(joinData),
       });
 
       const room = await response.json();
-      
+      // Players the room does not accept are told why (see JoinRejection)
+      if (!response.ok) {
+        setError(room.error || 'Failed to join room');
+        return;
+      }
+
       if (onJoinRoom) {
         onJoinRoom(room);
       }
@@ -113,7 +172,7 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
         onJoinRoom({
           id: roomId,
           name: 'Mock Room',
-          players: 2,
+          players: [{}, {}],
           maxPlayers: 4
         });
       }
@@ -122,6 +181,18 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
     }
   };
 
+  // Matched players get a room already; the host creates the game and the
+  // others join it
+  const handleMatch = ({ room, game, isHost }) => {
+    localStorage.setItem('diabloPlayerName', playerName);
+    const matched = { ...room, game };
+    if (isHost) {
+      onCreateRoom && onCreateRoom(matched);
+    } else {
+      onJoinRoom && onJoinRoom(matched);
+    }
+  };
+
   if (!visible) return null;
 
   return (
@@ -142,8 +213,17 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
               onChange={(e) => setPlayerName(e.target.value)}
               className="name-input"
             />
+            <select value={edition} onChange={(e) => setEdition(e.target.value)}>
+              {Object.entries(EDITIONS).map(([value, name]) => <option key={value} value={value}>{name}</option>)}
+            </select>
+            <select value={characterClass} onChange={(e) => setCharacterClass(e.target.value)}>
+              {CLASSES.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <LevelInput value={level} onChange={setLevel} title="Character level" />
           </div>
 
+          {error && <div className="lobby-error">{error}</div>}
+
           {/* Create Room */}
           <div className="create-room">
             <h3>Create Room</h3>
@@ -155,9 +235,14 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
                 onChange={(e) => setRoomName(e.target.value)}
                 className="room-input"
               />
+              <select value={difficulty} onChange={(e) => setDifficulty(Number(e.target.value))}>
+                {DIFFICULTIES.map((name, i) => <option key={name} value={i}>{name}</option>)}
+              </select>
+              <LevelInput value={minLevel} onChange={setMinLevel} title="Minimum level" />
+              <LevelInput value={maxLevel} onChange={setMaxLevel} title="Maximum level" />
               <button 
                 onClick={handleCreateRoom}
-                disabled={!roomName.trim() || !playerName.trim() || isCreating}
+                disabled={!roomName.trim() || !playerName.trim() || minLevel > maxLevel || isCreating}
                 className="create-btn"
               >
                 {isCreating ? 'Creating...' : 'Create Room'}
@@ -165,6 +250,14 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
             </div>
           </div>
 
+          <MatchmakingPanel
+            playerName={playerName}
+            edition={edition}
+            characterClass={characterClass}
+            level={level}
+            onMatch={handleMatch}
+          />
+
           {/* Available Rooms */}
           <div className="available-rooms">
             <h3>Available Rooms ({rooms.length})</h3>
@@ -174,12 +267,18 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
                   <div className="room-info">
                     <span className="room-name">{room.name}</span>
                     <span className="room-players">
-                      {room.players}/{room.maxPlayers} players
+                      {room.players.length}/{room.maxPlayers} players
+                    </span>
+                    <span className="room-settings">
+                      {EDITIONS[room.edition] || EDITIONS.retail}
+                      {' · '}{DIFFICULTIES[room.difficulty || 0]}
+                      {' · '}Level {room.minLevel || 1}-{room.maxLevel || MAX_LEVEL}
+                      {room.gameVersion && ` · v${room.gameVersion}`}
                     </span>
                   </div>
                   <button
                     onClick={() => handleJoinRoom(room.id)}
-                    disabled={room.players >= room.maxPlayers || !playerName.trim() || isJoining}
+                    disabled={room.players.length >= room.maxPlayers || !playerName.trim() || isJoining}
                     className="join-btn"
                   >
                     {isJoining ? 'Joining...' : 'Join'}
@@ -189,15 +288,35 @@ const MultiplayerLobby = ({ onJoinRoom, onCreateRoom, onInviteFriend, visible, o
               {rooms.length === 0 && (
                 <div className="no-rooms">No rooms available</div>
               )}
+              {nextCursor && (
+                <button onClick={() => loadRooms(nextCursor)} className="load-more-btn">
+                  Load more
+                </button>
+              )}
             </div>
+            <label className="room-filter">
+              <input
+                type="checkbox"
+                checked={hideFull}
+                onChange={(e) => setHideFull(e.target.checked)}
+              />
+              Hide full rooms
+            </label>
           </div>
 
+          {showFriends && (
+            <FriendsPanel
+              onJoinRoom={handleJoinRoom}
+              canJoin={!!playerName.trim() && !isJoining}
+            />
+          )}
+
           {/* Quick Actions */}
           <div className="quick-actions">
-            <button onClick={onInviteFriend} className="invite-btn">
-              Invite Friend
+            <button onClick={() => setShowFriends(!showFriends)} className="invite-btn">
+              {showFriends ? 'Hide Friends' : 'Friends'}
             </button>
-            <button onClick={loadRooms} className="refresh-btn">
+            <button onClick={() => loadRooms()} className="refresh-btn">
               Refresh
             </button>
           </div>
@@ -30,10 +30,16 @@ import IdbKvStore from  'idb-kv-store';
   }, 10000);
 });*/
 
-async function downloadFile(store, name) {
+async function readBlob(store, name) {
   const file = await store.get(name.toLowerCase());
   if (file) {
-    const blob = new Blob([file], {type: 'binary/octet-stream'});
+    return new Blob([file], {type: 'binary/octet-stream'});
+  }
+}
+
+async function downloadFile(store, name) {
+  const blob = await readBlob(store, name);
+  if (blob) {
     const url = URL.createObjectURL(blob);
     const lnk = document.createElement('a');
     lnk.setAttribute('href', url);
@@ -68,50 +74,73 @@ async function uploadFile(store, files, file) {
   return store.set(file.name.toLowerCase(), data);
 }
 
-export default async function create_fs(load) {
+// Stands in for IdbKvStore where IndexedDB is not available (e.g. private
+// browsing in some browsers). Files only last until the page is closed.
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+  async get(name) {
+    return this.data.get(name);
+  }
+  // Copied, as the caller may transfer its buffer to the game worker
+  async set(name, data) {
+    this.data.set(name, data.slice());
+  }
+  async remove(name) {
+    this.data.delete(name);
+  }
+  async clear() {
+    this.data.clear();
+  }
+  async keys() {
+    return [...this.data.keys()];
+  }
+  async json() {
+    return Object.fromEntries(this.data);
+  }
+}
+
+async function openStore() {
   try {
     const store = new IdbKvStore('diablo_fs');
-    const files = new Map();
-    for (let [name, data] of Object.entries(await store.json())) {
-      files.set(name, data);
+    return {store, saved: await store.json()};
+  } catch (e) {
+    console.error('IndexedDB is not supported, files will not be kept');
+    return {store: new MemoryStore(), saved: {}};
+  }
+}
+
+export default async function create_fs(load) {
+  const {store, saved} = await openStore();
+  const files = new Map();
+  for (let [name, data] of Object.entries(saved)) {
+    files.set(name, data);
+  }
+  /*if (load) {
+    const files = await importStorage();
+    if (files) {
+      for (let [name, data] of files) {
+        files.set(name, data);
+        store.set(name, data);
+      }
     }
-    /*if (load) {
-      const files = await importStorage();
-      if (files) {
-        for (let [name, data] of files) {
-          files.set(name, data);
-          store.set(name, data);
-        }
+  }*/
+  window.DownloadFile = name => downloadFile(store, name);
+  window.DownloadSaves = () => downloadSaves(store);
+  return {
+    files,
+    update: (name, data) => store.set(name, data),
+    delete: name => store.remove(name),
+    clear: () => store.clear(),
+    download: name => downloadFile(store, name),
+    upload: file => uploadFile(store, files, file),
+    blob: name => readBlob(store, name),
+    fileUrl: async name => {
+      const blob = await readBlob(store, name);
+      if (blob) {
+        return URL.createObjectURL(blob);
       }
-    }*/
-    window.DownloadFile = name => downloadFile(store, name);
-    window.DownloadSaves = () => downloadSaves(store);
-    return {
-      files,
-      update: (name, data) => store.set(name, data),
-      delete: name => store.remove(name),
-      clear: () => store.clear(),
-      download: name => downloadFile(store, name),
-      upload: file => uploadFile(store, files, file),
-      fileUrl: async name => {
-        const file = await store.get(name.toLowerCase());
-        if (file) {
-          const blob = new Blob([file], {type: 'binary/octet-stream'});
-          return URL.createObjectURL(blob);
-        }
-      },
-    };
-  } catch (e) {
-    window.DownloadFile = () => console.error('IndexedDB is not supported');
-    window.DownloadSaves = () => console.error('IndexedDB is not supported');
-    return {
-      files: new Map(),
-      update: () => Promise.resolve(),
-      delete: () => Promise.resolve(),
-      clear: () => Promise.resolve(),
-      download: () => Promise.resolve(),
-      upload: () => Promise.resolve(),
-      fileUrl: () => Promise.resolve(),
-    };
-  }  
+    },
+  };
 }
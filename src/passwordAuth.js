@@ -0,0 +1,83 @@
+// Username/password accounts, for servers whose auth provider issues its own
+// tokens. The access token is kept where authHeaders() and the socket look for
+// it, and renewed with the refresh token shortly before it expires.
+
+const REFRESH_KEY = 'diabloRefreshToken';
+// Renew this long before the access token expires
+const REFRESH_MARGIN = 60;
+
+let refreshTimer = null;
+
+async function post(path, body) {
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const field = data.fields && data.fields[0];
+    throw new Error(field ? `${field.field.replace(/^body\./, '')} ${field.message}` : data.error);
+  }
+  return data;
+}
+
+function store({ accessToken, refreshToken, expiresIn }) {
+  localStorage.setItem('diabloAuthToken', accessToken);
+  localStorage.setItem(REFRESH_KEY, refreshToken);
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refreshSession, Math.max(expiresIn - REFRESH_MARGIN, 10) * 1000);
+}
+
+function clear() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  localStorage.removeItem(REFRESH_KEY);
+}
+
+export function hasSession() {
+  return !!localStorage.getItem(REFRESH_KEY);
+}
+
+// Resolves to { success, error }, as AuthModal expects
+export async function login(username, password) {
+  try {
+    store(await post('/api/auth/login', { username, password }));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export async function register(username, email, password) {
+  try {
+    store(await post('/api/auth/register', { username, email, password }));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Returns false once the session is over (refresh token expired or revoked)
+export async function refreshSession() {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  if (!refreshToken) {
+    return false;
+  }
+  try {
+    store(await post('/api/auth/refresh', { refreshToken }));
+    return true;
+  } catch (error) {
+    console.error('Session refresh failed:', error.message);
+    clear();
+    return false;
+  }
+}
+
+export async function logout() {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  clear();
+  if (refreshToken) {
+    await post('/api/auth/logout', { refreshToken }).catch(() => {});
+  }
+}
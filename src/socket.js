@@ -0,0 +1,117 @@
+import { io } from 'socket.io-client';
+
+const HEARTBEAT_INTERVAL = 30000;
+const TICKET_TIMEOUT = 5000;
+
+let socket = null;
+let heartbeat = null;
+let userId = null;
+const joined = new Set();
+
+function emitJoin(sock, roomId) {
+  sock.emit('join-room', roomId, response => {
+    if (response && response.error) {
+      console.error(`Could not join room ${roomId}:`, response.error);
+      joined.delete(roomId);
+    }
+  });
+}
+
+export function getSocket() {
+  if (!socket) {
+    socket = io({
+      autoConnect: true,
+      // Read on every (re)connect, so a refreshed token is picked up
+      auth: cb => cb({ token: localStorage.getItem('diabloAuthToken') }),
+    });
+    // Socket.IO rooms do not survive a reconnect, so join them again. This
+    // also covers server restarts: the server drops the connection, Socket.IO
+    // keeps reconnecting until it is back, and rejoining reopens the room.
+    socket.on('connect', () => {
+      for (let roomId of joined) {
+        emitJoin(socket, roomId);
+      }
+    });
+    socket.on('server-shutdown', () => console.warn('Server is restarting, reconnecting when it is back'));
+    socket.on('kicked', ({ roomId, banned }) => {
+      console.warn(`${banned ? 'Banned' : 'Kicked'} from room ${roomId}`);
+      leaveRoomChannel(roomId);
+    });
+    socket.on('connect_error', err => console.error('Socket connection failed:', err.message));
+  }
+  return socket;
+}
+
+// The socket if one is open, without connecting like getSocket() does
+export function currentSocket() {
+  return socket;
+}
+
+function request(event, ...args) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(Error(`${event} timed out`)), TICKET_TIMEOUT);
+    getSocket().emit(event, ...args, response => {
+      clearTimeout(timeout);
+      if (response && !response.error) {
+        resolve(response);
+      } else {
+        reject(Object.assign(Error(response ? response.error : `${event} failed`), { code: response && response.code }));
+      }
+    });
+  });
+}
+
+// Game hosts only let in players that show a join ticket from the server (see
+// webrtc.js). Resolves to null when signed out, as there is no one to vouch for.
+export function requestJoinTicket() {
+  if (!userId) {
+    return Promise.resolve(null);
+  }
+  return request('join-ticket').then(({ ticket }) => ticket, () => null);
+}
+
+// Resolves to the uid of the ticket's holder
+export function verifyJoinTicket(ticket) {
+  return request('verify-join-ticket', ticket).then(({ uid }) => uid);
+}
+
+// Joins the room's channel and keeps sending heartbeats, so the server does
+// not reap our seat while we are still around. The server only admits players
+// of the room, so this must be called after joining it through the API.
+export function joinRoomChannel(roomId) {
+  const sock = getSocket();
+  joined.add(roomId);
+  emitJoin(sock, roomId);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => sock.emit('heartbeat'), HEARTBEAT_INTERVAL);
+  }
+}
+
+export function leaveRoomChannel(roomId) {
+  if (!socket || !joined.has(roomId)) {
+    return;
+  }
+  joined.delete(roomId);
+  socket.emit('leave-room', roomId);
+  if (!joined.size) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+}
+
+// Our user id, once the token is verified
+export function setUserId(uid) {
+  userId = uid;
+}
+
+// Called on logout, the next getSocket() connects with the new user's token
+export function closeSocket() {
+  userId = null;
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+  joined.clear();
+  clearInterval(heartbeat);
+  heartbeat = null;
+}